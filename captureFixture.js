@@ -0,0 +1,77 @@
+require('dotenv').config();
+const { getSource } = require('./sources');
+const { acquirePage, closeBrowserPool } = require('./sources/browserPool');
+const { openSearchPage } = require('./sources/browser');
+const { saveFixture } = require('./sources/fixtures');
+
+const USAGE = `Usage:
+  node captureFixture.js <source> <name> --role <role> --location <location> [--experience <exp>] [--page <n>]
+      save a search results page (page n, default 1) as test/fixtures/<source>/<name>.html
+  node captureFixture.js <source> <name> --url <job url>
+      save a job's detail page, as used by enrichment`;
+
+function parseArgs(args) {
+  const positional = [];
+  const options = {};
+  for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith('--')) {
+      options[args[i].slice(2)] = args[i + 1];
+      i++;
+    } else {
+      positional.push(args[i]);
+    }
+  }
+  return { positional, options };
+}
+
+// Walks the same pages a crawl would, so the capture sees the page as the
+// extractor does (popups closed, lazy cards scrolled in)
+async function openResultsPage(adapter, page, params, pageNumber) {
+  for (let current = 1; current <= pageNumber; current++) {
+    const hasPage = adapter.paginate
+      ? await adapter.paginate(page, params, current)
+      : await openSearchPage(page, adapter.buildSearchUrl(params, current)).then(() => true);
+    if (!hasPage) throw new Error(`${adapter.label} has no page ${current} for this search`);
+  }
+}
+
+async function main(args) {
+  const { positional: [sourceName, name], options } = parseArgs(args);
+  const adapter = sourceName && getSource(sourceName);
+  if (!adapter || !name || !(options.url || (options.role && options.location))) {
+    console.log(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+  if (options.url && typeof adapter.extractDetail !== 'function') {
+    throw new Error(`${adapter.label} has no detail extractor`);
+  }
+
+  const { page, release } = await acquirePage({ userAgent: adapter.userAgent?.() });
+  try {
+    // Run the extractor before saving so a capture it can't read is caught now
+    if (options.url) {
+      await openSearchPage(page, options.url);
+      const detail = await adapter.extractDetail(page);
+      const found = Object.entries(detail).filter(([, value]) => value && value.length !== 0).map(([field]) => field);
+      console.log(`Detail fields found: ${found.join(', ') || 'none'}`);
+    } else {
+      const pageNumber = parseInt(options.page, 10) || 1;
+      await openResultsPage(adapter, page, { role: options.role, location: options.location, experience: options.experience }, pageNumber);
+      const jobs = await adapter.extract(page);
+      console.log(`Extracted ${jobs.length} job cards`);
+    }
+
+    const file = await saveFixture(page, adapter.name, name);
+    console.log(`Saved ${file}`);
+  } finally {
+    await release();
+  }
+}
+
+main(process.argv.slice(2))
+  .catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => closeBrowserPool());
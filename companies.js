@@ -0,0 +1,197 @@
+const { pool } = require('./db');
+const { normalizeCompany } = require('./dedup');
+const { ANNUAL_SALARY_FACTOR } = require('./sources/ranges');
+
+const TREND_WEEKS = 12;
+
+// Open roles are active postings, counted once across boards
+const OPEN_ROLE = "status = 'active' AND canonical_job_id IS NULL";
+
+// Returns the company id for a job's company name, creating the company the
+// first time a name is seen. Names with no usable text ("N/A") get null.
+async function resolveCompanyId(client, name) {
+  const key = normalizeCompany(name);
+  if (!key) return null;
+
+  const alias = await client.query('SELECT company_id FROM company_aliases WHERE alias = $1', [key]);
+  if (alias.rows.length > 0) return alias.rows[0].company_id;
+
+  const result = await client.query(
+    `INSERT INTO companies (name, normalized_name) VALUES ($1, $2)
+     ON CONFLICT (normalized_name) DO UPDATE SET normalized_name = EXCLUDED.normalized_name
+     RETURNING id`,
+    [String(name).trim(), key]
+  );
+  return result.rows[0].id;
+}
+
+async function assignCompany(client, jobId, name) {
+  const companyId = await resolveCompanyId(client, name);
+  await client.query('UPDATE jobs SET company_id = $2 WHERE id = $1', [jobId, companyId]);
+  return companyId;
+}
+
+async function listCompanies({ q, limit, offset }) {
+  const queryParams = [q ? `%${q}%` : null, limit, offset];
+  const result = await pool.query(
+    `SELECT c.id, c.name,
+            COUNT(j.id) FILTER (WHERE j.status = 'active' AND j.canonical_job_id IS NULL) AS open_roles,
+            COUNT(j.id) FILTER (WHERE j.canonical_job_id IS NULL) AS total_jobs,
+            MAX(j.first_seen_at) AS last_posted_at,
+            COUNT(*) OVER () AS total
+     FROM companies c
+     LEFT JOIN jobs j ON j.company_id = c.id
+     WHERE $1::text IS NULL OR c.name ILIKE $1
+       OR EXISTS (SELECT 1 FROM company_aliases a WHERE a.company_id = c.id AND a.alias ILIKE $1)
+     GROUP BY c.id
+     ORDER BY open_roles DESC, c.name
+     LIMIT $2 OFFSET $3`,
+    queryParams
+  );
+
+  return {
+    total: result.rows.length > 0 ? parseInt(result.rows[0].total, 10) : 0,
+    companies: result.rows.map(row => ({
+      id: row.id,
+      name: row.name,
+      openRoles: parseInt(row.open_roles, 10),
+      totalJobs: parseInt(row.total_jobs, 10),
+      lastPostedAt: row.last_posted_at
+    }))
+  };
+}
+
+// A company with its aliases and hiring stats, or null when it doesn't exist
+async function getCompany(id) {
+  const companyResult = await pool.query('SELECT * FROM companies WHERE id = $1', [id]);
+  if (companyResult.rows.length === 0) return null;
+  const company = companyResult.rows[0];
+
+  const [aliases, totals, sources, locations, salaries, trend] = await Promise.all([
+    pool.query('SELECT alias FROM company_aliases WHERE company_id = $1 ORDER BY alias', [id]),
+    pool.query(
+      `SELECT COUNT(*) FILTER (WHERE ${OPEN_ROLE}) AS open_roles,
+              COUNT(*) AS total_jobs,
+              MIN(first_seen_at) AS first_seen_at,
+              MAX(last_seen_at) AS last_seen_at
+       FROM jobs WHERE company_id = $1 AND canonical_job_id IS NULL`,
+      [id]
+    ),
+    pool.query(
+      `SELECT source, COUNT(*) FILTER (WHERE ${OPEN_ROLE}) AS open_roles, COUNT(*) AS total_jobs
+       FROM jobs WHERE company_id = $1
+       GROUP BY source ORDER BY open_roles DESC, source`,
+      [id]
+    ),
+    pool.query(
+      `SELECT location, COUNT(*) AS open_roles
+       FROM jobs WHERE company_id = $1 AND ${OPEN_ROLE}
+       GROUP BY location ORDER BY open_roles DESC, location
+       LIMIT 20`,
+      [id]
+    ),
+    // Yearly amounts per currency across open roles that advertise a salary
+    pool.query(
+      `SELECT salary_currency AS currency,
+              COUNT(*) AS jobs,
+              MIN(salary_min * ${ANNUAL_SALARY_FACTOR}) AS min,
+              MAX(salary_max * ${ANNUAL_SALARY_FACTOR}) AS max,
+              percentile_cont(0.5) WITHIN GROUP (ORDER BY salary_max * ${ANNUAL_SALARY_FACTOR}) AS median
+       FROM jobs WHERE company_id = $1 AND ${OPEN_ROLE} AND salary_max IS NOT NULL
+       GROUP BY salary_currency ORDER BY jobs DESC`,
+      [id]
+    ),
+    // New postings per week, including weeks with none
+    pool.query(
+      `SELECT weeks.week, COUNT(j.id) AS new_jobs
+       FROM generate_series(
+         date_trunc('week', NOW()) - make_interval(weeks => $2::int - 1),
+         date_trunc('week', NOW()),
+         INTERVAL '1 week'
+       ) AS weeks(week)
+       LEFT JOIN jobs j ON j.company_id = $1 AND j.canonical_job_id IS NULL
+         AND date_trunc('week', j.first_seen_at) = weeks.week
+       GROUP BY weeks.week ORDER BY weeks.week`,
+      [id, TREND_WEEKS]
+    )
+  ]);
+
+  const total = totals.rows[0];
+  return {
+    id: company.id,
+    name: company.name,
+    normalizedName: company.normalized_name,
+    aliases: aliases.rows.map(row => row.alias),
+    openRoles: parseInt(total.open_roles, 10),
+    totalJobs: parseInt(total.total_jobs, 10),
+    firstSeenAt: total.first_seen_at,
+    lastSeenAt: total.last_seen_at,
+    sources: sources.rows.map(row => ({
+      source: row.source,
+      openRoles: parseInt(row.open_roles, 10),
+      totalJobs: parseInt(row.total_jobs, 10)
+    })),
+    locations: locations.rows.map(row => ({ location: row.location, openRoles: parseInt(row.open_roles, 10) })),
+    salaryRanges: salaries.rows.map(row => ({
+      currency: row.currency,
+      jobs: parseInt(row.jobs, 10),
+      min: row.min === null ? null : Number(row.min),
+      max: row.max === null ? null : Number(row.max),
+      median: row.median === null ? null : Number(row.median)
+    })),
+    trend: trend.rows.map(row => ({ week: row.week, newJobs: parseInt(row.new_jobs, 10) }))
+  };
+}
+
+// Maps another spelling onto a company. If that spelling already has its own
+// company, the two are merged: its jobs and aliases move here and it is deleted.
+// Returns null when the company doesn't exist, or { error } for an unusable alias.
+async function addCompanyAlias(id, alias) {
+  const key = normalizeCompany(alias);
+  if (!key) return { error: 'Alias has no usable name' };
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const company = await client.query('SELECT id, normalized_name FROM companies WHERE id = $1 FOR UPDATE', [id]);
+    if (company.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+    if (company.rows[0].normalized_name === key) {
+      await client.query('ROLLBACK');
+      return { error: 'Alias is the company\'s own name' };
+    }
+
+    const other = await client.query('SELECT id FROM companies WHERE normalized_name = $1 FOR UPDATE', [key]);
+    let merged = null;
+    if (other.rows.length > 0) {
+      merged = other.rows[0].id;
+      await client.query('UPDATE jobs SET company_id = $1 WHERE company_id = $2', [id, merged]);
+      await client.query('UPDATE company_aliases SET company_id = $1 WHERE company_id = $2', [id, merged]);
+      await client.query('DELETE FROM companies WHERE id = $1', [merged]);
+    }
+
+    await client.query(
+      `INSERT INTO company_aliases (alias, company_id) VALUES ($1, $2)
+       ON CONFLICT (alias) DO UPDATE SET company_id = EXCLUDED.company_id`,
+      [key, id]
+    );
+    await client.query('COMMIT');
+
+    return { alias: key, mergedCompanyId: merged };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  assignCompany,
+  listCompanies,
+  getCompany,
+  addCompanyAlias
+};
@@ -0,0 +1,293 @@
+const { pool } = require('./db');
+
+const CONCURRENCY = parseInt(process.env.CRAWL_CONCURRENCY, 10) || 1;
+// Runs still marked "running" with no progress for this long are assumed dead
+const STALE_MINUTES = parseInt(process.env.CRAWL_RUN_STALE_MINUTES, 10) || 10;
+// How often live runs are touched and dead ones swept; well under STALE_MINUTES
+const SWEEP_INTERVAL_MS = parseInt(process.env.CRAWL_RUN_SWEEP_INTERVAL_MS, 10) || 60000;
+
+const activeRuns = new Map(); // run id -> AbortController
+let crawlHandler = null;
+let draining = false;
+let stopping = false;
+let sweepTimer = null;
+
+// Runs that stopped before every source finished
+const RESUMABLE = `status IN ('failed', 'cancelled') OR (status = 'completed' AND EXISTS (
+  SELECT 1 FROM jsonb_each(source_results) AS result WHERE result.value->>'error' IS NOT NULL
+))`;
+
+function formatRun(row) {
+  return {
+    id: row.id,
+    ...row.params,
+    status: row.status,
+    progress: row.progress,
+    totalJobs: row.total_jobs,
+    newJobs: row.new_jobs,
+    duplicates: row.duplicates,
+    results: row.source_results,
+    resumable: ['failed', 'cancelled'].includes(row.status) ||
+      (row.status === 'completed' && Object.values(row.source_results || {}).some(result => result.error)),
+    // Sources that finished without error but whose extraction looked broken
+    degradedSources: Object.entries(row.source_results || {})
+      .filter(([, result]) => result.health?.anomalies?.length > 0)
+      .map(([source]) => source),
+    errors: row.errors,
+    createdAt: row.created_at,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at
+  };
+}
+
+// The handler receives the run params and { runId, signal, onPage,
+// resumeFrom, previousProgress, previousResults } and must resolve to
+// { totalJobs, newJobs, duplicates, results, errors } where results holds the
+// per-source breakdown keyed by source name. onPage(source, page, counts)
+// records a saved page with its { jobs, newJobs, duplicates, updatedJobs }.
+// For a resumed run, resumeFrom maps each source to the last page it recorded
+// progress for, previousProgress to the counts summed over those pages, and
+// previousResults holds the breakdown of the earlier attempt, if it got that far.
+function setCrawlHandler(handler) {
+  crawlHandler = handler;
+}
+
+// Pass a client to enqueue inside a caller's transaction; the caller must then
+// call wakeCrawlWorker() after committing so the new row is visible.
+async function enqueueCrawl(params, client = pool) {
+  const result = await client.query(
+    'INSERT INTO crawl_runs (params) VALUES ($1) RETURNING *',
+    [params]
+  );
+  if (client === pool) setImmediate(drainQueue);
+  return formatRun(result.rows[0]);
+}
+
+async function getCrawlRun(id) {
+  const result = await pool.query('SELECT * FROM crawl_runs WHERE id = $1', [id]);
+  return result.rows.length > 0 ? formatRun(result.rows[0]) : null;
+}
+
+async function cancelCrawlRun(id) {
+  const result = await pool.query(
+    `UPDATE crawl_runs
+     SET status = 'cancelled', finished_at = NOW(), updated_at = NOW()
+     WHERE id = $1 AND status IN ('queued', 'running')
+     RETURNING *`,
+    [id]
+  );
+
+  if (result.rows.length === 0) {
+    const run = await getCrawlRun(id);
+    return { run, cancelled: false };
+  }
+
+  const controller = activeRuns.get(result.rows[0].id);
+  if (controller) controller.abort();
+
+  return { run: formatRun(result.rows[0]), cancelled: true };
+}
+
+// Puts a failed, cancelled or partly failed run back on the queue. It keeps
+// its progress, so each source continues after the last page it saved.
+async function resumeCrawlRun(id) {
+  if (activeRuns.has(id)) {
+    return { run: await getCrawlRun(id), resumed: false };
+  }
+
+  const result = await pool.query(
+    `UPDATE crawl_runs
+     SET status = 'queued', started_at = NULL, finished_at = NULL, updated_at = NOW()
+     WHERE id = $1 AND (${RESUMABLE})
+     RETURNING *`,
+    [id]
+  );
+
+  if (result.rows.length === 0) {
+    return { run: await getCrawlRun(id), resumed: false };
+  }
+
+  setImmediate(drainQueue);
+  return { run: formatRun(result.rows[0]), resumed: true };
+}
+
+async function claimNextRun() {
+  const result = await pool.query(`
+    UPDATE crawl_runs
+    SET status = 'running', started_at = NOW(), updated_at = NOW()
+    WHERE id = (
+      SELECT id FROM crawl_runs
+      WHERE status = 'queued'
+      ORDER BY id
+      LIMIT 1
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING *
+  `);
+  return result.rows[0] || null;
+}
+
+async function recordProgress(runId, source, page, counts) {
+  const result = await pool.query(
+    `UPDATE crawl_runs
+     SET progress = progress || $2::jsonb, updated_at = NOW()
+     WHERE id = $1 AND status = 'running'
+     RETURNING id`,
+    [runId, JSON.stringify([{ source, page, ...counts, at: new Date().toISOString() }])]
+  );
+
+  // Cancelled from another instance: stop crawling here too
+  if (result.rows.length === 0) {
+    const controller = activeRuns.get(runId);
+    if (controller) controller.abort();
+  }
+}
+
+async function executeRun(row) {
+  const controller = new AbortController();
+  activeRuns.set(row.id, controller);
+
+  try {
+    console.log(`${row.progress.length > 0 ? 'Resuming' : 'Starting'} crawl run ${row.id}`);
+    const resumeFrom = {};
+    const previousProgress = {};
+    for (const { source, page, ...counts } of row.progress) {
+      resumeFrom[source] = Math.max(resumeFrom[source] || 0, page);
+      const summed = previousProgress[source] || { jobs: 0, newJobs: 0, duplicates: 0, updatedJobs: 0 };
+      for (const key of Object.keys(summed)) summed[key] += counts[key] || 0;
+      previousProgress[source] = summed;
+    }
+
+    const { totalJobs, newJobs, duplicates, results = {}, errors = [] } = await crawlHandler(row.params, {
+      runId: row.id,
+      signal: controller.signal,
+      onPage: (source, page, counts) => recordProgress(row.id, source, page, counts),
+      resumeFrom,
+      previousProgress,
+      previousResults: row.source_results
+    });
+
+    // A run only fails outright when every source it covered failed
+    const outcomes = Object.values(results);
+    const status = outcomes.length > 0 && outcomes.every(result => result.error) ? 'failed' : 'completed';
+
+    await pool.query(
+      `UPDATE crawl_runs
+       SET status = $2, total_jobs = $3, new_jobs = $4, duplicates = $5,
+           source_results = $6, errors = errors || $7::jsonb,
+           finished_at = NOW(), updated_at = NOW()
+       WHERE id = $1 AND status = 'running'`,
+      [row.id, status, totalJobs, newJobs, duplicates, results, JSON.stringify(errors)]
+    );
+    console.log(`Crawl run ${row.id} ${status}`);
+  } catch (error) {
+    if (controller.signal.aborted) {
+      console.log(`Crawl run ${row.id} cancelled`);
+    } else {
+      console.error(`Crawl run ${row.id} failed:`, error);
+      await pool.query(
+        `UPDATE crawl_runs
+         SET status = 'failed', errors = errors || $2::jsonb,
+             finished_at = NOW(), updated_at = NOW()
+         WHERE id = $1 AND status = 'running'`,
+        [row.id, JSON.stringify([{ message: error.message, at: new Date().toISOString() }])]
+      ).catch(err => console.error('Failed to record crawl failure:', err));
+    }
+  } finally {
+    activeRuns.delete(row.id);
+    setImmediate(drainQueue);
+  }
+}
+
+async function drainQueue() {
+  if (draining || stopping || !crawlHandler) return;
+  draining = true;
+  try {
+    while (activeRuns.size < CONCURRENCY) {
+      const row = await claimNextRun();
+      if (!row) break;
+      executeRun(row);
+    }
+  } catch (error) {
+    console.error('Crawl queue error:', error);
+  } finally {
+    draining = false;
+  }
+}
+
+// Touches the runs this process is executing so they never look stale, then
+// fails "running" rows nobody has touched for STALE_MINUTES: their process
+// died (possibly one restarted since, which doesn't hold them). Failed runs
+// can be resumed from their last saved page.
+async function sweepStaleRuns() {
+  const ids = Array.from(activeRuns.keys());
+  if (ids.length > 0) {
+    await pool.query(
+      "UPDATE crawl_runs SET updated_at = NOW() WHERE id = ANY($1) AND status = 'running'",
+      [ids]
+    );
+  }
+
+  const result = await pool.query(
+    `UPDATE crawl_runs
+     SET status = 'failed', errors = errors || $1::jsonb,
+         finished_at = NOW(), updated_at = NOW()
+     WHERE status = 'running' AND NOT (id = ANY($3))
+       AND updated_at < NOW() - make_interval(mins => $2)`,
+    [JSON.stringify([{ message: 'Interrupted: the process running it stopped', at: new Date().toISOString() }]), STALE_MINUTES, ids]
+  );
+  if (result.rowCount > 0) {
+    console.log(`Marked ${result.rowCount} interrupted crawl runs as failed`);
+  }
+}
+
+async function sweep() {
+  try {
+    await sweepStaleRuns();
+  } catch (error) {
+    console.error('Crawl run sweep error:', error);
+  }
+}
+
+// Fail runs orphaned by a previous process, keep sweeping for ones orphaned
+// later, then pick up whatever is queued
+async function startCrawlWorker() {
+  await sweepStaleRuns();
+  sweepTimer = setInterval(sweep, SWEEP_INTERVAL_MS);
+  await drainQueue();
+}
+
+// Put in-flight runs back on the queue so the next process picks them up
+// after the pages they already saved
+async function stopCrawlWorker() {
+  stopping = true;
+  clearInterval(sweepTimer);
+  sweepTimer = null;
+  const ids = Array.from(activeRuns.keys());
+  if (ids.length === 0) return;
+
+  await pool.query(
+    `UPDATE crawl_runs
+     SET status = 'queued', started_at = NULL, updated_at = NOW()
+     WHERE id = ANY($1) AND status = 'running'`,
+    [ids]
+  );
+  for (const controller of activeRuns.values()) {
+    controller.abort();
+  }
+}
+
+function wakeCrawlWorker() {
+  setImmediate(drainQueue);
+}
+
+module.exports = {
+  setCrawlHandler,
+  enqueueCrawl,
+  wakeCrawlWorker,
+  getCrawlRun,
+  cancelCrawlRun,
+  resumeCrawlRun,
+  startCrawlWorker,
+  stopCrawlWorker
+};
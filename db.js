@@ -1,4 +1,5 @@
 const { Pool } = require("pg");
+const { migrate } = require("./migrator");
 
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL,
@@ -10,67 +11,32 @@ const pool = new Pool({
   connectionTimeoutMillis: 2000,
 });
 
+// Brings the schema up to date. Schema changes live in numbered files under
+// migrations/; see migrate.js for rolling back and checking status.
 async function initializeDatabase() {
-  const client = await pool.connect();
   try {
-    await client.query("BEGIN");
-
-    // Create table if not exists
-    await client.query(`
-       CREATE TABLE IF NOT EXISTS jobs (
-  id SERIAL PRIMARY KEY,
-  title TEXT NOT NULL,
-  company TEXT NOT NULL,
-  experience TEXT,
-  location TEXT,
-  skills TEXT[],
-  salary TEXT,
-  link TEXT UNIQUE NOT NULL,
-  source TEXT NOT NULL,
-   posted_date TEXT, -- Changed from TIMESTAMP to TEXT to store raw string
-  posted_date_original TEXT, -- Optional: if you want to store both
-  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
-)
-      `);
-
-    // Verify UNIQUE constraint exists
-    const constraints = await client.query(`
-        SELECT conname FROM pg_constraint 
-        WHERE conrelid = 'jobs'::regclass AND contype = 'u'
-      `);
-
-    if (constraints.rows.length === 0) {
-      await client.query(
-        "ALTER TABLE jobs ADD CONSTRAINT jobs_link_key UNIQUE (link)"
-      );
-    }
-
-    // Create indexes if not exists
-    await client.query(`
-        CREATE INDEX IF NOT EXISTS idx_jobs_title ON jobs(title);
-        CREATE INDEX IF NOT EXISTS idx_jobs_company ON jobs(company);
-        CREATE INDEX IF NOT EXISTS idx_jobs_location ON jobs(location);
-        CREATE INDEX IF NOT EXISTS idx_jobs_source ON jobs(source);
-      `);
-
-    await client.query("COMMIT");
-    console.log("Database initialized and verified");
+    const applied = await migrate(pool);
+    console.log(
+      applied.length > 0
+        ? `Applied ${applied.length} migration(s); database initialized and verified`
+        : "Database initialized and verified"
+    );
     return true;
   } catch (error) {
-    await client.query("ROLLBACK");
     console.error("Database initialization failed:", error);
     throw error;
-  } finally {
-    client.release();
   }
 }
 
+// Expired jobs that haven't been seen for 30 days are archived rather than
+// deleted, so their alert history and duplicate groups stay intact
 async function cleanupOldJobs() {
   try {
     const result = await pool.query(
-      `DELETE FROM jobs WHERE posted_date < NOW() - INTERVAL '30 DAYS'`
+      `UPDATE jobs SET status = 'archived', archived_at = NOW()
+       WHERE status = 'expired' AND last_seen_at < NOW() - INTERVAL '30 DAYS'`
     );
-    console.log(`Cleaned up ${result.rowCount} old jobs`);
+    console.log(`Archived ${result.rowCount} old jobs`);
   } catch (error) {
     console.error("Cleanup failed:", error);
   }
@@ -0,0 +1,102 @@
+// Cross-source duplicate detection. The same posting shows up on several
+// boards with different links, so new jobs are compared against recent jobs
+// at the same company and location and linked to the earliest match through
+// jobs.canonical_job_id.
+
+const WINDOW_DAYS = parseInt(process.env.DEDUP_WINDOW_DAYS, 10) || 14;
+const TITLE_THRESHOLD = parseFloat(process.env.DEDUP_TITLE_THRESHOLD) || 0.85;
+
+const COMPANY_SUFFIXES = /\b(private|pvt|limited|ltd|llp|llc|inc|incorporated|corp|corporation|co|company|plc|gmbh|india)\b/g;
+const TITLE_NOISE = /\b(urgent(ly)?|hiring|required|requirement|opening|openings|vacancy|immediate joiners?|wfo|wfh|remote|hybrid)\b/g;
+
+function normalizeText(value) {
+  return String(value || '')
+    .toLowerCase()
+    .replace(/\(.*?\)/g, ' ')
+    .replace(/[^a-z0-9+#.]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function normalizeCompany(company) {
+  const value = normalizeText(company).replace(/\./g, ' ').replace(COMPANY_SUFFIXES, ' ').replace(/\s+/g, ' ').trim();
+  return value === 'n a' || value === 'na' ? '' : value;
+}
+
+function normalizeTitle(title) {
+  const value = normalizeText(title).replace(TITLE_NOISE, ' ').replace(/\s+/g, ' ').trim();
+  return value === 'n a' ? '' : value;
+}
+
+// Only the first city counts: "Bengaluru, Karnataka, India" and "Bengaluru" match
+function normalizeLocation(location) {
+  if (/^n\/?a$/i.test(String(location || '').trim())) return '';
+  const first = String(location || '').split(/,|\/|\||\s-\s/)[0];
+  const value = normalizeText(first);
+  return value === 'n a' ? '' : value;
+}
+
+function dedupKeys(job) {
+  return {
+    title: normalizeTitle(job.title),
+    company: normalizeCompany(job.company),
+    location: normalizeLocation(job.location)
+  };
+}
+
+// Dice coefficient over word tokens, 0..1
+function titleSimilarity(a, b) {
+  const left = new Set(a.split(' ').filter(Boolean));
+  const right = new Set(b.split(' ').filter(Boolean));
+  if (left.size === 0 || right.size === 0) return 0;
+
+  let shared = 0;
+  for (const token of left) {
+    if (right.has(token)) shared++;
+  }
+  return (2 * shared) / (left.size + right.size);
+}
+
+// Returns the id of the canonical job the given job duplicates, or null
+async function findCanonicalJob(client, jobId, keys) {
+  if (!keys.title || !keys.company) return null;
+
+  const { rows } = await client.query(
+    `SELECT id, dedup_title, canonical_job_id FROM jobs
+     WHERE dedup_company = $1 AND dedup_location = $2 AND id < $3
+     AND created_at >= (SELECT created_at FROM jobs WHERE id = $3) - make_interval(days => $4)
+     ORDER BY id
+     LIMIT 200`,
+    [keys.company, keys.location, jobId, WINDOW_DAYS]
+  );
+
+  let best = null;
+  for (const row of rows) {
+    const score = titleSimilarity(keys.title, row.dedup_title || '');
+    if (score >= TITLE_THRESHOLD && (!best || score > best.score)) {
+      best = { score, id: row.canonical_job_id || row.id };
+    }
+  }
+  return best ? best.id : null;
+}
+
+// Stores the dedup keys for a saved job and links it to its canonical job
+async function assignCanonicalJob(client, jobId, job) {
+  const keys = dedupKeys(job);
+  const canonicalId = await findCanonicalJob(client, jobId, keys);
+
+  await client.query(
+    `UPDATE jobs
+     SET dedup_title = $2, dedup_company = $3, dedup_location = $4, canonical_job_id = $5
+     WHERE id = $1`,
+    [jobId, keys.title, keys.company, keys.location, canonicalId]
+  );
+  return canonicalId;
+}
+
+module.exports = {
+  normalizeCompany,
+  dedupKeys,
+  titleSimilarity,
+  assignCanonicalJob
+};
@@ -0,0 +1,192 @@
+const { pool } = require('./db');
+const { listSources, fetchJobDetail } = require('./sources');
+const { parseExperience, parseSalary } = require('./sources/ranges');
+const { isPlaceholder } = require('./revisions');
+
+const TICK_MS = parseInt(process.env.ENRICH_INTERVAL_MS, 10) || 5 * 60 * 1000;
+const BATCH_SIZE = parseInt(process.env.ENRICH_BATCH_SIZE, 10) || 10;
+const MAX_ATTEMPTS = parseInt(process.env.ENRICH_MAX_ATTEMPTS, 10) || 3;
+// Only jobs inserted this recently are enriched automatically
+const MAX_AGE_HOURS = parseInt(process.env.ENRICH_MAX_AGE_HOURS, 10) || 48;
+// A claimed job whose visit hasn't finished in this long is claimable again
+const LEASE_MINUTES = 15;
+
+let timer = null;
+let draining = null;
+let controller = new AbortController();
+
+function enrichableSources() {
+  return listSources().filter(source => source.enrichable).map(source => source.name);
+}
+
+// Detail fields only fill in what the listing card left blank, apart from
+// the description, employment type and apply URL which cards never have.
+// Blank is judged on the card's text, as re-crawls do, so text that parses
+// to no lower bound ("Up to 10 LPA") is kept.
+function mergeDetail(job, detail) {
+  const fields = {
+    description: detail.description || job.description,
+    employment_type: detail.employmentType || job.employment_type,
+    apply_url: detail.applyUrl || job.apply_url,
+    skills: job.skills && job.skills.length > 0 ? job.skills : detail.skills
+  };
+
+  if (detail.salary && isPlaceholder(job.salary)) {
+    const salary = parseSalary(detail.salary);
+    Object.assign(fields, {
+      salary: detail.salary,
+      salary_min: salary.min,
+      salary_max: salary.max,
+      salary_currency: salary.currency,
+      salary_period: salary.period
+    });
+  }
+
+  if (detail.experience && isPlaceholder(job.experience)) {
+    const experience = parseExperience(detail.experience);
+    Object.assign(fields, {
+      experience: detail.experience,
+      exp_min: experience.min,
+      exp_max: experience.max
+    });
+  }
+
+  return fields;
+}
+
+async function enrichRow(job, signal) {
+  try {
+    const detail = await fetchJobDetail(job.source, job.link, { signal });
+    const fields = mergeDetail(job, detail);
+
+    const columns = Object.keys(fields);
+    const assignments = columns.map((column, index) => `${column} = $${index + 2}`);
+    const result = await pool.query(
+      `UPDATE jobs
+       SET ${assignments.join(', ')}, enriched_at = NOW(), enrich_started_at = NULL, enrich_error = NULL
+       WHERE id = $1
+       RETURNING *`,
+      [job.id, ...columns.map(column => fields[column])]
+    );
+    return result.rows[0];
+  } catch (error) {
+    if (signal?.aborted) {
+      // Shutting down: hand the job back without using up an attempt
+      await pool.query(
+        'UPDATE jobs SET enrich_started_at = NULL, enrich_attempts = GREATEST(enrich_attempts - 1, 0) WHERE id = $1',
+        [job.id]
+      );
+    } else {
+      await pool.query(
+        'UPDATE jobs SET enrich_started_at = NULL, enrich_error = $2 WHERE id = $1',
+        [job.id, error.message]
+      );
+    }
+    throw error;
+  }
+}
+
+// Enriches one job on demand, whether or not it was enriched before.
+// Returns the updated row, or null when the job doesn't exist.
+async function enrichJob(id) {
+  const result = await pool.query('SELECT * FROM jobs WHERE id = $1', [id]);
+  if (result.rows.length === 0) return null;
+  return enrichRow(result.rows[0], controller.signal);
+}
+
+// Claims a batch of recent, unenriched jobs. Bumping enrich_attempts at
+// claim time means a job that crashes the browser is not retried forever.
+async function claimPendingJobs() {
+  const result = await pool.query(
+    `UPDATE jobs SET enrich_started_at = NOW(), enrich_attempts = enrich_attempts + 1
+     WHERE id IN (
+       SELECT id FROM jobs
+       WHERE enriched_at IS NULL
+       AND canonical_job_id IS NULL
+       AND enrich_attempts < $1
+       AND created_at >= NOW() - make_interval(hours => $2)
+       AND (enrich_started_at IS NULL OR enrich_started_at < NOW() - make_interval(mins => $3))
+       AND LOWER(source) = ANY($4::text[])
+       ORDER BY id
+       LIMIT $5
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    [MAX_ATTEMPTS, MAX_AGE_HOURS, LEASE_MINUTES, enrichableSources(), BATCH_SIZE]
+  );
+  return result.rows;
+}
+
+// Each source works through its jobs in order; fetchJobDetail spaces the
+// visits, so sources only slow themselves down, not each other
+async function enrichBatch(jobs) {
+  const bySource = new Map();
+  for (const job of jobs) {
+    const key = job.source.toLowerCase();
+    if (!bySource.has(key)) bySource.set(key, []);
+    bySource.get(key).push(job);
+  }
+
+  let enriched = 0;
+  await Promise.all(Array.from(bySource.values()).map(async sourceJobs => {
+    for (const job of sourceJobs) {
+      if (controller.signal.aborted) return;
+      try {
+        await enrichRow(job, controller.signal);
+        enriched++;
+      } catch (error) {
+        if (!controller.signal.aborted) {
+          console.error(`Enrichment of job ${job.id} (${job.source}) failed:`, error.message);
+        }
+      }
+    }
+  }));
+  return enriched;
+}
+
+async function drainPendingJobs() {
+  try {
+    while (!controller.signal.aborted) {
+      const jobs = await claimPendingJobs();
+      if (jobs.length === 0) break;
+
+      const enriched = await enrichBatch(jobs);
+      console.log(`Enriched ${enriched}/${jobs.length} jobs`);
+    }
+  } catch (error) {
+    console.error('Enrichment worker failed:', error);
+  }
+}
+
+// Starts a drain unless one is already running; call after inserting jobs
+function wakeEnrichmentWorker() {
+  if (!timer || draining) return;
+  draining = drainPendingJobs().finally(() => {
+    draining = null;
+  });
+}
+
+function startEnrichmentWorker() {
+  if (process.env.ENRICH_ENABLED === 'false') {
+    console.log('Automatic job enrichment disabled on this instance');
+    return;
+  }
+  controller = new AbortController();
+  timer = setInterval(wakeEnrichmentWorker, TICK_MS);
+  wakeEnrichmentWorker();
+}
+
+async function stopEnrichmentWorker() {
+  clearInterval(timer);
+  timer = null;
+  controller.abort();
+  await draining;
+}
+
+module.exports = {
+  mergeDetail,
+  enrichJob,
+  wakeEnrichmentWorker,
+  startEnrichmentWorker,
+  stopEnrichmentWorker
+};
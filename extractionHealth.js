@@ -0,0 +1,270 @@
+const { pool } = require('./db');
+const { notify } = require('./notifiers');
+
+// Recent clean runs a new run is compared against
+const BASELINE_RUNS = parseInt(process.env.HEALTH_BASELINE_RUNS, 10) || 10;
+// Fewer clean runs than this and there is no baseline to judge by
+const MIN_BASELINE_RUNS = parseInt(process.env.HEALTH_MIN_BASELINE_RUNS, 10) || 3;
+// A field is flagged when its N/A share rises this much above the baseline
+const NA_RATE_JUMP = parseFloat(process.env.HEALTH_NA_RATE_JUMP) || 0.3;
+// Jobs found below this share of the usual count is a sharp drop
+const JOB_COUNT_DROP = parseFloat(process.env.HEALTH_JOB_COUNT_DROP) || 0.3;
+// Comma-separated email recipients; no alerts are sent when unset
+const ALERT_TO = process.env.HEALTH_ALERT_EMAIL || '';
+// At most one alert per source in this window
+const ALERT_COOLDOWN_MINUTES = parseInt(process.env.HEALTH_ALERT_COOLDOWN_MINUTES, 10) || 360;
+
+// Metric name -> job property that extractors fill with 'N/A' when missing
+const NA_FIELDS = {
+  title: 'title',
+  company: 'company',
+  location: 'location',
+  postedDate: 'postedDateOriginal'
+};
+
+// Metric name -> extraction_metrics column
+const NA_COLUMNS = {
+  title: 'na_title',
+  company: 'na_company',
+  location: 'na_location',
+  postedDate: 'na_posted_date'
+};
+
+function isMissing(value) {
+  return !value || value === 'N/A';
+}
+
+function round(value) {
+  return value === null ? null : Math.round(value * 1000) / 1000;
+}
+
+// Quality of one source's crawl: how many jobs came back, how many result
+// pages yielded jobs, and the share of jobs missing each key field
+function measureExtraction(jobs, pagesReached) {
+  const naRates = {};
+  for (const [name, property] of Object.entries(NA_FIELDS)) {
+    naRates[name] = jobs.length === 0 ? null : round(jobs.filter(job => isMissing(job[property])).length / jobs.length);
+  }
+  return { jobsFound: jobs.length, pagesReached, naRates };
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Baselines come from runs without anomalies, so a source that stays broken
+// keeps being flagged instead of becoming the new normal. Job counts depend
+// on the search, so they are compared with earlier runs of the same search
+// when there are enough, and with the source as a whole otherwise.
+async function loadBaseline(source, { role, location }) {
+  const clean = "source = $1 AND anomalies = '[]'::jsonb";
+  const [recent, search] = await Promise.all([
+    pool.query(
+      `SELECT jobs_found, na_title, na_company, na_location, na_posted_date
+       FROM extraction_metrics WHERE ${clean}
+       ORDER BY id DESC LIMIT $2`,
+      [source, BASELINE_RUNS]
+    ),
+    pool.query(
+      `SELECT jobs_found FROM extraction_metrics
+       WHERE ${clean} AND lower(role) = lower($3) AND lower(location) = lower($4)
+       ORDER BY id DESC LIMIT $2`,
+      [source, BASELINE_RUNS, role || '', location || '']
+    )
+  ]);
+
+  const naRates = {};
+  for (const [name, column] of Object.entries(NA_COLUMNS)) {
+    const rates = recent.rows.map(row => row[column]).filter(rate => rate !== null);
+    naRates[name] = rates.length > 0 ? round(rates.reduce((sum, rate) => sum + rate, 0) / rates.length) : null;
+  }
+
+  const counts = search.rows.length >= MIN_BASELINE_RUNS ? search.rows : recent.rows;
+  return {
+    runs: recent.rows.length,
+    naRates,
+    jobCount: {
+      scope: counts === search.rows ? 'search' : 'source',
+      runs: counts.length,
+      median: counts.length > 0 ? median(counts.map(row => row.jobs_found)) : null
+    }
+  };
+}
+
+// Compares a run's metrics with the baseline. Returns a list of
+// { type, message, ... }; empty when nothing looks wrong.
+function detectAnomalies(metrics, baseline) {
+  const anomalies = [];
+  const { jobCount } = baseline;
+
+  if (jobCount.runs >= MIN_BASELINE_RUNS && jobCount.median > 0) {
+    const usual = `usually ${jobCount.median} ${jobCount.scope === 'search' ? 'for this search' : 'per run'}`;
+    if (metrics.jobsFound === 0) {
+      anomalies.push({ type: 'no_jobs', expected: jobCount.median, message: `No jobs extracted (${usual})` });
+    } else if (metrics.jobsFound < jobCount.median * JOB_COUNT_DROP) {
+      anomalies.push({
+        type: 'job_count_drop',
+        found: metrics.jobsFound,
+        expected: jobCount.median,
+        message: `Only ${metrics.jobsFound} jobs extracted (${usual})`
+      });
+    }
+  }
+
+  if (baseline.runs >= MIN_BASELINE_RUNS) {
+    for (const [field, rate] of Object.entries(metrics.naRates)) {
+      const usual = baseline.naRates[field];
+      if (rate === null || usual === null || rate - usual < NA_RATE_JUMP) continue;
+      anomalies.push({
+        type: 'na_rate_spike',
+        field,
+        rate,
+        expected: usual,
+        message: `${field} is N/A on ${Math.round(rate * 100)}% of jobs (usually ${Math.round(usual * 100)}%)`
+      });
+    }
+  }
+
+  return anomalies;
+}
+
+function alertHtml(source, metrics, anomalies, runId) {
+  const rates = Object.entries(metrics.naRates)
+    .map(([field, rate]) => `<li>${field}: ${rate === null ? 'n/a' : `${Math.round(rate * 100)}%`} N/A</li>`)
+    .join('');
+  return `
+    <div style="font-family: Arial, sans-serif; max-width: 800px; margin: 0 auto;">
+      <h1 style="color: #c62828;">Extraction quality dropped for ${source}</h1>
+      <ul>${anomalies.map(anomaly => `<li>${anomaly.message}</li>`).join('')}</ul>
+      <p><strong>Jobs found:</strong> ${metrics.jobsFound} &middot; <strong>Pages reached:</strong> ${metrics.pagesReached}</p>
+      <ul>${rates}</ul>
+      ${runId ? `<p>Crawl run: /api/crawl/${runId}</p>` : ''}
+      <p style="font-size: 12px; color: #888;">The page layout may have changed; check /api/admin/selectors for stale selectors.</p>
+    </div>
+  `;
+}
+
+// Sends an alert unless one went out for this source within the cooldown.
+// Returns whether it was sent.
+async function sendAlert(metricsId, source, metrics, anomalies, runId) {
+  const recipients = ALERT_TO.split(',').map(address => address.trim()).filter(Boolean);
+  if (recipients.length === 0) return false;
+
+  const recent = await pool.query(
+    `SELECT 1 FROM extraction_metrics
+     WHERE source = $1 AND alerted_at > NOW() - make_interval(mins => $2)
+     LIMIT 1`,
+    [source, ALERT_COOLDOWN_MINUTES]
+  );
+  if (recent.rows.length > 0) {
+    console.log(`Extraction alert for ${source} skipped; one was sent in the last ${ALERT_COOLDOWN_MINUTES} minutes`);
+    return false;
+  }
+
+  let sent = false;
+  for (const recipient of recipients) {
+    // Only the email channel renders a custom subject and body
+    const { success } = await notify('email', recipient, [], {
+      context: `extraction-health:${source}`,
+      subject: `Extraction quality dropped for ${source}`,
+      html: alertHtml(source, metrics, anomalies, runId)
+    });
+    sent = sent || success;
+  }
+  if (sent) {
+    await pool.query('UPDATE extraction_metrics SET alerted_at = NOW() WHERE id = $1', [metricsId]);
+  }
+  return sent;
+}
+
+// Stores a source's crawl metrics, checks them against the baseline and
+// alerts when quality dropped. Returns the metrics with their anomalies.
+async function recordExtractionHealth({ runId = null, source, params = {}, metrics }) {
+  const baseline = await loadBaseline(source, params);
+  const anomalies = detectAnomalies(metrics, baseline);
+
+  const result = await pool.query(
+    `INSERT INTO extraction_metrics
+     (run_id, source, role, location, jobs_found, pages_reached, na_title, na_company, na_location, na_posted_date, anomalies)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+     RETURNING id`,
+    [
+      runId,
+      source,
+      params.role || null,
+      params.location || null,
+      metrics.jobsFound,
+      metrics.pagesReached,
+      metrics.naRates.title,
+      metrics.naRates.company,
+      metrics.naRates.location,
+      metrics.naRates.postedDate,
+      JSON.stringify(anomalies)
+    ]
+  );
+
+  let alerted = false;
+  if (anomalies.length > 0) {
+    console.warn(`Extraction anomalies for ${source}: ${anomalies.map(anomaly => anomaly.message).join('; ')}`);
+    alerted = await sendAlert(result.rows[0].id, source, metrics, anomalies, runId);
+  }
+
+  return { ...metrics, anomalies, alerted };
+}
+
+function formatMetrics(row) {
+  return {
+    id: row.id,
+    runId: row.run_id,
+    source: row.source,
+    role: row.role,
+    location: row.location,
+    jobsFound: row.jobs_found,
+    pagesReached: row.pages_reached,
+    naRates: Object.fromEntries(Object.entries(NA_COLUMNS).map(([name, column]) => [name, row[column]])),
+    anomalies: row.anomalies,
+    alertedAt: row.alerted_at,
+    createdAt: row.created_at
+  };
+}
+
+async function listExtractionMetrics(source, { limit = 20 } = {}) {
+  const result = await pool.query(
+    'SELECT * FROM extraction_metrics WHERE source = $1 ORDER BY id DESC LIMIT $2',
+    [source, limit]
+  );
+  return result.rows.map(formatMetrics);
+}
+
+// Latest run and current baseline per source, with when it last had anomalies
+async function extractionHealthSummary(sources) {
+  return Promise.all(sources.map(async source => {
+    const [latest, lastAnomaly, baseline] = await Promise.all([
+      pool.query('SELECT * FROM extraction_metrics WHERE source = $1 ORDER BY id DESC LIMIT 1', [source]),
+      pool.query(
+        "SELECT created_at FROM extraction_metrics WHERE source = $1 AND anomalies <> '[]'::jsonb ORDER BY id DESC LIMIT 1",
+        [source]
+      ),
+      loadBaseline(source, {})
+    ]);
+
+    const latestRun = latest.rows.length > 0 ? formatMetrics(latest.rows[0]) : null;
+    return {
+      source,
+      healthy: !latestRun || latestRun.anomalies.length === 0,
+      latest: latestRun,
+      lastAnomalyAt: lastAnomaly.rows[0]?.created_at || null,
+      baseline: { runs: baseline.runs, naRates: baseline.naRates, medianJobsFound: baseline.jobCount.median }
+    };
+  }));
+}
+
+module.exports = {
+  measureExtraction,
+  detectAnomalies,
+  recordExtractionHealth,
+  listExtractionMetrics,
+  extractionHealthSummary
+};
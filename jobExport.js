@@ -0,0 +1,184 @@
+const { once } = require('events');
+const Cursor = require('pg-cursor');
+const ExcelJS = require('exceljs');
+const { pool } = require('./db');
+
+const BATCH_SIZE = 500;
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+  jsonl: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'jsonl' }
+};
+
+// Column header -> jobs column, in export order
+const COLUMNS = [
+  ['ID', 'id'],
+  ['Title', 'title'],
+  ['Company', 'company'],
+  ['Location', 'location'],
+  ['City', 'city'],
+  ['State', 'state'],
+  ['Country', 'country'],
+  ['Work Mode', 'work_mode'],
+  ['Experience', 'experience'],
+  ['Min Experience (yrs)', 'exp_min'],
+  ['Max Experience (yrs)', 'exp_max'],
+  ['Salary', 'salary'],
+  ['Min Salary', 'salary_min'],
+  ['Max Salary', 'salary_max'],
+  ['Salary Currency', 'salary_currency'],
+  ['Salary Period', 'salary_period'],
+  ['Skills', 'skills'],
+  ['Employment Type', 'employment_type'],
+  ['Source', 'source'],
+  ['Link', 'link'],
+  ['Apply URL', 'apply_url'],
+  ['Posted At', 'posted_at'],
+  ['First Seen', 'created_at']
+];
+
+// pg returns NUMERIC and BIGINT as strings
+const NUMERIC_COLUMNS = ['exp_min', 'exp_max', 'salary_min', 'salary_max'];
+
+// Spreadsheet cell value for a column: skills joined, numerics as numbers
+function cellValue(job, column) {
+  const value = job[column];
+  if (value === null || value === undefined) return null;
+  if (column === 'skills') return value.join('; ');
+  if (NUMERIC_COLUMNS.includes(column)) return Number(value);
+  return value;
+}
+
+// Spreadsheet apps run cells starting with these as formulas
+function escapeFormula(value) {
+  return /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+}
+
+function csvField(value) {
+  if (value === null) return '';
+  const text = escapeFormula(value instanceof Date ? value.toISOString() : String(value));
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvWriter(res) {
+  return {
+    // The BOM makes Excel read the file as UTF-8, so "₹" survives
+    start: () => '\uFEFF' + COLUMNS.map(([header]) => csvField(header)).join(',') + '\r\n',
+    rows: jobs => jobs.map(job => COLUMNS.map(([, column]) => csvField(cellValue(job, column))).join(',') + '\r\n').join(''),
+    end: async () => {
+      res.end();
+    }
+  };
+}
+
+function jsonlWriter(res) {
+  return {
+    start: () => '',
+    // Same columns as the spreadsheets, but skills stay an array
+    rows: jobs => jobs.map(job => {
+      const line = {};
+      for (const [, column] of COLUMNS) {
+        line[column] = column === 'skills' ? job.skills : cellValue(job, column);
+      }
+      return JSON.stringify(line) + '\n';
+    }).join(''),
+    end: async () => {
+      res.end();
+    }
+  };
+}
+
+// ExcelJS pipes the zip straight to the response and rows are committed as
+// they are added; write() waits out the response's backpressure between
+// batches so a slow client doesn't make the zip pile up in memory
+function xlsxWriter(res) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: false, useSharedStrings: false });
+  const sheet = workbook.addWorksheet('Jobs');
+  sheet.columns = COLUMNS.map(([header, column]) => ({ header, key: column }));
+
+  return {
+    start: () => null,
+    rows: jobs => {
+      for (const job of jobs) {
+        const row = {};
+        for (const [, column] of COLUMNS) row[column] = cellValue(job, column);
+        sheet.addRow(row).commit();
+      }
+      return null;
+    },
+    end: async () => {
+      sheet.commit();
+      await workbook.commit();
+    }
+  };
+}
+
+const WRITERS = {
+  csv: csvWriter,
+  xlsx: xlsxWriter,
+  jsonl: jsonlWriter
+};
+
+// Writers that pipe into res themselves return no chunk; their output
+// reaches res asynchronously, so let it flow before checking for a full buffer
+async function write(res, chunk) {
+  let full;
+  if (chunk) {
+    full = !res.write(chunk);
+  } else {
+    await new Promise(setImmediate);
+    full = res.writableNeedDrain;
+  }
+
+  if (full && !res.destroyed) {
+    await Promise.race([once(res, 'drain'), once(res, 'close')]);
+  }
+}
+
+// Streams the rows of `query` to the response in the given format, reading
+// them from a server-side cursor in batches. Stops early if the client goes away.
+async function exportJobs(res, format, query, queryParams) {
+  const { contentType, extension } = EXPORT_FORMATS[format];
+  const client = await pool.connect();
+  const cursor = client.query(new Cursor(query, queryParams));
+
+  let aborted = false;
+  res.on('close', () => {
+    aborted = !res.writableFinished;
+  });
+
+  try {
+    // Run the query before sending headers so a bad query still gets a JSON error
+    let rows = await cursor.read(BATCH_SIZE);
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="jobs-${date}.${extension}"`);
+
+    const writer = WRITERS[format](res);
+    await write(res, writer.start());
+
+    let exported = 0;
+    while (rows.length > 0 && !aborted) {
+      await write(res, writer.rows(rows));
+      exported += rows.length;
+      rows = await cursor.read(BATCH_SIZE);
+    }
+
+    if (aborted) {
+      console.log(`Job export (${format}) aborted by client after ${exported} rows`);
+      return;
+    }
+    await writer.end();
+    console.log(`Exported ${exported} jobs as ${format}`);
+  } finally {
+    await cursor.close().catch(() => {});
+    client.release();
+  }
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  exportJobs
+};
@@ -0,0 +1,156 @@
+const { parse: parseCsv } = require('csv-parse/sync');
+const { normalizeJob } = require('./sources/normalize');
+
+const IMPORT_FORMATS = ['csv', 'json', 'jsonl'];
+
+// Job field -> header names partner feeds and ATS exports commonly use,
+// compared after lowercasing and dropping everything but letters and digits
+const DEFAULT_ALIASES = {
+  title: ['title', 'jobtitle', 'position', 'role', 'designation'],
+  company: ['company', 'companyname', 'employer', 'organization', 'organisation'],
+  location: ['location', 'joblocation', 'locations', 'city'],
+  experience: ['experience', 'exp', 'experiencerequired', 'yearsofexperience'],
+  skills: ['skills', 'keyskills', 'skillset', 'tags'],
+  salary: ['salary', 'ctc', 'compensation', 'pay', 'salaryrange'],
+  link: ['link', 'url', 'joburl', 'joblink', 'applyurl', 'applylink'],
+  postedDate: ['posteddate', 'postedat', 'dateposted', 'postedon', 'posted', 'date'],
+  source: ['source']
+};
+
+function normalizeHeader(header) {
+  return String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function detectFormat(format, contentType = '', body = '') {
+  if (format) return String(format).toLowerCase();
+  if (/csv/.test(contentType)) return 'csv';
+  if (/ndjson|jsonl|json-lines/.test(contentType)) return 'jsonl';
+  if (/json/.test(contentType)) return 'json';
+
+  const start = body.trimStart();
+  if (start.startsWith('[')) return 'json';
+  if (start.startsWith('{')) return 'jsonl';
+  return 'csv';
+}
+
+// Parses the request body into a list of { row, record } or { row, error }
+// entries, numbered from 1 as a person would count the data rows. Throws
+// when the body as a whole can't be read.
+function parseRecords(body, format) {
+  if (format === 'csv') {
+    const records = parseCsv(body, { columns: true, bom: true, skip_empty_lines: true, trim: true, relax_column_count: true });
+    return records.map((record, index) => ({ row: index + 1, record }));
+  }
+
+  if (format === 'json') {
+    const value = JSON.parse(body);
+    const records = Array.isArray(value) ? value : value && value.jobs;
+    if (!Array.isArray(records)) {
+      throw new Error('JSON body must be an array of jobs or { "jobs": [...] }');
+    }
+    return records.map((record, index) => ({ row: index + 1, record }));
+  }
+
+  return body.split(/\r?\n/)
+    .map((line, index) => ({ line: line.trim(), row: index + 1 }))
+    .filter(({ line }) => line)
+    .map(({ line, row }) => {
+      try {
+        return { row, record: JSON.parse(line) };
+      } catch (error) {
+        return { row, error: `Invalid JSON: ${error.message}` };
+      }
+    });
+}
+
+// Custom mappings name the feed's column for a job field, e.g.
+// { "title": "Position Name", "link": "Apply Here" }. Anything not mapped
+// falls back to the default aliases.
+function validateMapping(mapping) {
+  if (mapping === undefined) return null;
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    return 'mapping must be an object of job field to column name';
+  }
+  for (const [field, column] of Object.entries(mapping)) {
+    if (!DEFAULT_ALIASES[field]) {
+      return `Unknown field "${field}" in mapping; expected one of: ${Object.keys(DEFAULT_ALIASES).join(', ')}`;
+    }
+    if (typeof column !== 'string' || !column) {
+      return `Column for "${field}" must be a non-empty string`;
+    }
+  }
+  return null;
+}
+
+function pickField(record, field, mapping) {
+  const columns = Object.keys(record);
+  if (mapping && mapping[field]) {
+    const wanted = normalizeHeader(mapping[field]);
+    const column = columns.find(key => key === mapping[field]) || columns.find(key => normalizeHeader(key) === wanted);
+    return column !== undefined ? record[column] : undefined;
+  }
+
+  for (const alias of DEFAULT_ALIASES[field]) {
+    const column = columns.find(key => normalizeHeader(key) === alias);
+    if (column !== undefined && record[column] !== '' && record[column] !== null) return record[column];
+  }
+  return undefined;
+}
+
+function toSkills(value) {
+  if (Array.isArray(value)) return value.map(String);
+  if (typeof value !== 'string') return [];
+  return value.split(/[,;|]/);
+}
+
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+// Maps one feed record to a job for saveJobs. Returns { job } or { error }.
+function toJob(record, mapping, defaultSource) {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    return { error: 'Row is not an object' };
+  }
+
+  const link = pickField(record, 'link', mapping);
+  if (!link || !isHttpUrl(String(link).trim())) {
+    return { error: link ? `Invalid link "${link}"` : 'Missing link' };
+  }
+
+  const title = pickField(record, 'title', mapping);
+  if (!title || !String(title).trim()) {
+    return { error: 'Missing title' };
+  }
+
+  const postedDate = pickField(record, 'postedDate', mapping);
+  const source = pickField(record, 'source', mapping) || defaultSource;
+
+  const job = normalizeJob({
+    title: String(title),
+    company: String(pickField(record, 'company', mapping) || ''),
+    location: String(pickField(record, 'location', mapping) || ''),
+    experience: String(pickField(record, 'experience', mapping) || ''),
+    skills: toSkills(pickField(record, 'skills', mapping)),
+    salary: String(pickField(record, 'salary', mapping) || ''),
+    link: String(link).trim(),
+    postedDate: postedDate ? String(postedDate) : ''
+  }, String(source));
+
+  if (postedDate && !job.postedAt) {
+    return { error: `Unrecognized posted date "${postedDate}"` };
+  }
+  return { job };
+}
+
+module.exports = {
+  IMPORT_FORMATS,
+  detectFormat,
+  parseRecords,
+  validateMapping,
+  toJob
+};
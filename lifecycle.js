@@ -0,0 +1,115 @@
+const axios = require('axios');
+const { pool, cleanupOldJobs } = require('./db');
+const { DEFAULT_USER_AGENT } = require('./sources/browser');
+
+const TICK_MS = parseInt(process.env.JOB_EXPIRY_INTERVAL_MS, 10) || 6 * 60 * 60 * 1000;
+// Active jobs not seen by any crawl for this many days are expired
+const EXPIRY_DAYS = parseInt(process.env.JOB_EXPIRY_DAYS, 10) || 7;
+// When set, a stale job is only expired once its link returns 404 or 410
+const VERIFY_LINKS = process.env.JOB_EXPIRY_VERIFY_LINKS === 'true';
+const VERIFY_BATCH_SIZE = 200;
+
+let timer = null;
+let running = false;
+
+async function linkIsGone(link) {
+  try {
+    const response = await axios.get(link, {
+      timeout: 10000,
+      maxRedirects: 5,
+      validateStatus: () => true,
+      headers: { 'User-Agent': DEFAULT_USER_AGENT },
+      // Only the status matters
+      responseType: 'stream'
+    });
+    response.data.destroy();
+    return response.status === 404 || response.status === 410;
+  } catch (error) {
+    // Network errors say nothing about the posting; check again next pass
+    return false;
+  }
+}
+
+async function expireJobs(ids) {
+  if (ids.length === 0) return 0;
+  const result = await pool.query(
+    `UPDATE jobs SET status = 'expired', expired_at = NOW()
+     WHERE id = ANY($1::int[]) AND status = 'active'`,
+    [ids]
+  );
+  return result.rowCount;
+}
+
+// Marks active jobs that no crawl has seen for `days` as expired. Returns
+// how many were expired.
+async function expireStaleJobs({ days = EXPIRY_DAYS, verifyLinks = VERIFY_LINKS } = {}) {
+  if (!verifyLinks) {
+    const result = await pool.query(
+      `UPDATE jobs SET status = 'expired', expired_at = NOW()
+       WHERE status = 'active' AND last_seen_at < NOW() - make_interval(days => $1)`,
+      [days]
+    );
+    console.log(`Expired ${result.rowCount} jobs not seen for ${days} days`);
+    return result.rowCount;
+  }
+
+  let expired = 0;
+  let checked = 0;
+  let lastId = 0;
+
+  while (true) {
+    const { rows } = await pool.query(
+      `SELECT id, link FROM jobs
+       WHERE status = 'active' AND last_seen_at < NOW() - make_interval(days => $1) AND id > $2
+       ORDER BY id
+       LIMIT $3`,
+      [days, lastId, VERIFY_BATCH_SIZE]
+    );
+    if (rows.length === 0) break;
+
+    const gone = [];
+    for (const row of rows) {
+      if (await linkIsGone(row.link)) gone.push(row.id);
+    }
+
+    expired += await expireJobs(gone);
+    checked += rows.length;
+    lastId = rows[rows.length - 1].id;
+  }
+
+  console.log(`Checked ${checked} stale jobs, expired ${expired} whose links are gone`);
+  return expired;
+}
+
+async function runLifecyclePass() {
+  if (running) return;
+  running = true;
+
+  try {
+    await expireStaleJobs();
+    await cleanupOldJobs();
+  } catch (error) {
+    console.error('Job lifecycle pass failed:', error);
+  } finally {
+    running = false;
+  }
+}
+
+function startLifecycleJobs() {
+  if (process.env.JOB_EXPIRY_ENABLED === 'false') {
+    console.log('Job expiry disabled on this instance');
+    return;
+  }
+  timer = setInterval(runLifecyclePass, TICK_MS);
+}
+
+function stopLifecycleJobs() {
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  expireStaleJobs,
+  startLifecycleJobs,
+  stopLifecycleJobs
+};
@@ -0,0 +1,36 @@
+require('dotenv').config();
+const { pool } = require('./db');
+const { migrate, rollback, migrationStatus } = require('./migrator');
+
+const USAGE = `Usage:
+  node migrate.js up [version]   apply pending migrations (up to version)
+  node migrate.js down [steps]   roll back the last migration (or the last N)
+  node migrate.js status         list migrations and whether they are applied`;
+
+async function main([command = 'up', arg]) {
+  if (command === 'up') {
+    const to = arg ? parseInt(arg, 10) : Infinity;
+    const applied = await migrate(pool, { to });
+    console.log(applied.length > 0 ? `Applied ${applied.length} migration(s)` : 'Already up to date');
+  } else if (command === 'down') {
+    const steps = arg ? parseInt(arg, 10) : 1;
+    if (!steps || steps < 1) throw new Error('steps must be a positive integer');
+    const reverted = await rollback(pool, { steps });
+    console.log(reverted.length > 0 ? `Reverted ${reverted.length} migration(s)` : 'Nothing to roll back');
+  } else if (command === 'status') {
+    for (const m of await migrationStatus(pool)) {
+      const state = m.applied ? `applied ${m.appliedAt.toISOString()}` : 'pending';
+      console.log(`${String(m.version).padStart(3, '0')}_${m.name}  ${state}`);
+    }
+  } else {
+    console.log(USAGE);
+    process.exitCode = 1;
+  }
+}
+
+main(process.argv.slice(2))
+  .catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
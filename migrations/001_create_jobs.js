@@ -0,0 +1,42 @@
+// Baseline: the jobs table as the original initializeDatabase created it.
+// IF NOT EXISTS keeps this safe on databases that predate migrations.
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS jobs (
+        id SERIAL PRIMARY KEY,
+        title TEXT NOT NULL,
+        company TEXT NOT NULL,
+        experience TEXT,
+        location TEXT,
+        skills TEXT[],
+        salary TEXT,
+        link TEXT UNIQUE NOT NULL,
+        source TEXT NOT NULL,
+        posted_date TEXT,
+        posted_date_original TEXT,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Very old tables were created without the UNIQUE constraint on link
+    const constraints = await client.query(`
+      SELECT conname FROM pg_constraint
+      WHERE conrelid = 'jobs'::regclass AND contype = 'u'
+    `);
+    if (constraints.rows.length === 0) {
+      await client.query('ALTER TABLE jobs ADD CONSTRAINT jobs_link_key UNIQUE (link)');
+    }
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_jobs_title ON jobs(title);
+      CREATE INDEX IF NOT EXISTS idx_jobs_company ON jobs(company);
+      CREATE INDEX IF NOT EXISTS idx_jobs_location ON jobs(location);
+      CREATE INDEX IF NOT EXISTS idx_jobs_source ON jobs(source);
+    `);
+  },
+
+  async down(client) {
+    await client.query('DROP TABLE IF EXISTS jobs CASCADE');
+  }
+};
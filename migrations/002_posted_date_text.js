@@ -0,0 +1,21 @@
+// posted_date started out as TIMESTAMP and was changed to TEXT in the
+// CREATE TABLE, which never reached databases created before that. Relative
+// strings like "3 Days Ago" couldn't be stored in them.
+module.exports = {
+  async up(client) {
+    const { rows } = await client.query(
+      "SELECT data_type FROM information_schema.columns WHERE table_name = 'jobs' AND column_name = 'posted_date'"
+    );
+    if (rows.length > 0 && rows[0].data_type !== 'text') {
+      await client.query('ALTER TABLE jobs ALTER COLUMN posted_date TYPE TEXT USING posted_date::text');
+    }
+  },
+
+  // Text that isn't a timestamp can't go back, so it is dropped
+  async down(client) {
+    await client.query(`
+      ALTER TABLE jobs ALTER COLUMN posted_date TYPE TIMESTAMP
+      USING CASE WHEN posted_date ~ '^\\d{4}-\\d{2}-\\d{2}' THEN posted_date::timestamp END
+    `);
+  }
+};
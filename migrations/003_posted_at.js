@@ -0,0 +1,54 @@
+const { parsePostedDate } = require('../sources/postedDate');
+
+// posted_date holds whatever each extractor produced; posted_at is the
+// parsed timestamp used for filtering and sorting
+module.exports = {
+  async up(client) {
+    await client.query(`
+      ALTER TABLE jobs ADD COLUMN IF NOT EXISTS posted_at TIMESTAMP WITH TIME ZONE;
+      CREATE INDEX IF NOT EXISTS idx_jobs_posted_at ON jobs(posted_at DESC NULLS LAST);
+    `);
+
+    // Rows saved before posted_at existed have no posted_date_original. Their
+    // posted_date is parsed relative to created_at (when they were crawled), and
+    // the raw text is copied to posted_date_original so each row is visited once.
+    let lastId = 0;
+    let updated = 0;
+
+    while (true) {
+      const { rows } = await client.query(
+        `SELECT id, posted_date, created_at FROM jobs
+         WHERE posted_date_original IS NULL AND id > $1
+         ORDER BY id
+         LIMIT 500`,
+        [lastId]
+      );
+      if (rows.length === 0) break;
+
+      const ids = rows.map(row => row.id);
+      const postedAt = rows.map(row => {
+        const date = parsePostedDate(row.posted_date, row.created_at || new Date());
+        return date ? date.toISOString() : null;
+      });
+
+      await client.query(
+        `UPDATE jobs
+         SET posted_at = v.posted_at, posted_date_original = COALESCE(jobs.posted_date, 'N/A')
+         FROM UNNEST($1::int[], $2::timestamptz[]) AS v(id, posted_at)
+         WHERE jobs.id = v.id`,
+        [ids, postedAt]
+      );
+
+      updated += rows.length;
+      lastId = ids[ids.length - 1];
+    }
+
+    if (updated > 0) {
+      console.log(`Backfilled posted_at for ${updated} jobs`);
+    }
+  },
+
+  async down(client) {
+    await client.query('ALTER TABLE jobs DROP COLUMN IF EXISTS posted_at');
+  }
+};
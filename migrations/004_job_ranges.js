@@ -0,0 +1,75 @@
+const { parseExperience, parseSalary } = require('../sources/ranges');
+
+// Numeric experience (years) and salary ranges parsed from the raw text
+module.exports = {
+  async up(client) {
+    const existing = await client.query(
+      "SELECT 1 FROM information_schema.columns WHERE table_name = 'jobs' AND column_name = 'exp_min'"
+    );
+    const needsBackfill = existing.rows.length === 0;
+
+    await client.query(`
+      ALTER TABLE jobs ADD COLUMN IF NOT EXISTS exp_min NUMERIC(4, 1);
+      ALTER TABLE jobs ADD COLUMN IF NOT EXISTS exp_max NUMERIC(4, 1);
+      ALTER TABLE jobs ADD COLUMN IF NOT EXISTS salary_min BIGINT;
+      ALTER TABLE jobs ADD COLUMN IF NOT EXISTS salary_max BIGINT;
+      ALTER TABLE jobs ADD COLUMN IF NOT EXISTS salary_currency TEXT;
+      ALTER TABLE jobs ADD COLUMN IF NOT EXISTS salary_period TEXT;
+      CREATE INDEX IF NOT EXISTS idx_jobs_exp ON jobs(exp_min, exp_max);
+      CREATE INDEX IF NOT EXISTS idx_jobs_salary ON jobs(salary_min, salary_max);
+    `);
+
+    if (!needsBackfill) return;
+
+    let lastId = 0;
+    let updated = 0;
+
+    while (true) {
+      const { rows } = await client.query(
+        'SELECT id, experience, salary FROM jobs WHERE id > $1 ORDER BY id LIMIT 500',
+        [lastId]
+      );
+      if (rows.length === 0) break;
+
+      const columns = { ids: [], expMin: [], expMax: [], salaryMin: [], salaryMax: [], currency: [], period: [] };
+      for (const row of rows) {
+        const experience = parseExperience(row.experience);
+        const salary = parseSalary(row.salary);
+        columns.ids.push(row.id);
+        columns.expMin.push(experience.min);
+        columns.expMax.push(experience.max);
+        columns.salaryMin.push(salary.min);
+        columns.salaryMax.push(salary.max);
+        columns.currency.push(salary.currency);
+        columns.period.push(salary.period);
+      }
+
+      await client.query(
+        `UPDATE jobs
+         SET exp_min = v.exp_min, exp_max = v.exp_max,
+             salary_min = v.salary_min, salary_max = v.salary_max,
+             salary_currency = v.salary_currency, salary_period = v.salary_period
+         FROM UNNEST($1::int[], $2::numeric[], $3::numeric[], $4::bigint[], $5::bigint[], $6::text[], $7::text[])
+           AS v(id, exp_min, exp_max, salary_min, salary_max, salary_currency, salary_period)
+         WHERE jobs.id = v.id`,
+        Object.values(columns)
+      );
+
+      updated += rows.length;
+      lastId = columns.ids[columns.ids.length - 1];
+    }
+
+    console.log(`Backfilled experience and salary ranges for ${updated} jobs`);
+  },
+
+  async down(client) {
+    await client.query(`
+      ALTER TABLE jobs DROP COLUMN IF EXISTS exp_min;
+      ALTER TABLE jobs DROP COLUMN IF EXISTS exp_max;
+      ALTER TABLE jobs DROP COLUMN IF EXISTS salary_min;
+      ALTER TABLE jobs DROP COLUMN IF EXISTS salary_max;
+      ALTER TABLE jobs DROP COLUMN IF EXISTS salary_currency;
+      ALTER TABLE jobs DROP COLUMN IF EXISTS salary_period;
+    `);
+  }
+};
@@ -0,0 +1,119 @@
+// A frozen copy of dedup.js as it was when this migration was written, so
+// later changes to the live matching don't change what this backfill does
+const WINDOW_DAYS = 14;
+const TITLE_THRESHOLD = 0.85;
+const COMPANY_SUFFIXES = /\b(private|pvt|limited|ltd|llp|llc|inc|incorporated|corp|corporation|co|company|plc|gmbh|india)\b/g;
+const TITLE_NOISE = /\b(urgent(ly)?|hiring|required|requirement|opening|openings|vacancy|immediate joiners?|wfo|wfh|remote|hybrid)\b/g;
+
+function normalizeText(value) {
+  return String(value || '')
+    .toLowerCase()
+    .replace(/\(.*?\)/g, ' ')
+    .replace(/[^a-z0-9+#.]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function dedupKeys(job) {
+  const company = normalizeText(job.company).replace(/\./g, ' ').replace(COMPANY_SUFFIXES, ' ').replace(/\s+/g, ' ').trim();
+  const title = normalizeText(job.title).replace(TITLE_NOISE, ' ').replace(/\s+/g, ' ').trim();
+  const location = /^n\/?a$/i.test(String(job.location || '').trim())
+    ? ''
+    : normalizeText(String(job.location || '').split(/,|\/|\||\s-\s/)[0]);
+  return {
+    title: title === 'n a' ? '' : title,
+    company: company === 'n a' || company === 'na' ? '' : company,
+    location: location === 'n a' ? '' : location
+  };
+}
+
+function titleSimilarity(a, b) {
+  const left = new Set(a.split(' ').filter(Boolean));
+  const right = new Set(b.split(' ').filter(Boolean));
+  if (left.size === 0 || right.size === 0) return 0;
+
+  let shared = 0;
+  for (const token of left) {
+    if (right.has(token)) shared++;
+  }
+  return (2 * shared) / (left.size + right.size);
+}
+
+async function assignCanonicalJob(client, jobId, job) {
+  const keys = dedupKeys(job);
+  let best = null;
+
+  if (keys.title && keys.company) {
+    const { rows } = await client.query(
+      `SELECT id, dedup_title, canonical_job_id FROM jobs
+       WHERE dedup_company = $1 AND dedup_location = $2 AND id < $3
+       AND created_at >= (SELECT created_at FROM jobs WHERE id = $3) - make_interval(days => $4)
+       ORDER BY id
+       LIMIT 200`,
+      [keys.company, keys.location, jobId, WINDOW_DAYS]
+    );
+    for (const row of rows) {
+      const score = titleSimilarity(keys.title, row.dedup_title || '');
+      if (score >= TITLE_THRESHOLD && (!best || score > best.score)) {
+        best = { score, id: row.canonical_job_id || row.id };
+      }
+    }
+  }
+
+  await client.query(
+    `UPDATE jobs
+     SET dedup_title = $2, dedup_company = $3, dedup_location = $4, canonical_job_id = $5
+     WHERE id = $1`,
+    [jobId, keys.title, keys.company, keys.location, best ? best.id : null]
+  );
+  return best ? best.id : null;
+}
+
+// Cross-source duplicates point at the earliest copy of the posting
+module.exports = {
+  async up(client) {
+    const existing = await client.query(
+      "SELECT 1 FROM information_schema.columns WHERE table_name = 'jobs' AND column_name = 'canonical_job_id'"
+    );
+    const needsBackfill = existing.rows.length === 0;
+
+    await client.query(`
+      ALTER TABLE jobs ADD COLUMN IF NOT EXISTS dedup_title TEXT;
+      ALTER TABLE jobs ADD COLUMN IF NOT EXISTS dedup_company TEXT;
+      ALTER TABLE jobs ADD COLUMN IF NOT EXISTS dedup_location TEXT;
+      ALTER TABLE jobs ADD COLUMN IF NOT EXISTS canonical_job_id INTEGER REFERENCES jobs(id) ON DELETE SET NULL;
+      CREATE INDEX IF NOT EXISTS idx_jobs_dedup ON jobs(dedup_company, dedup_location);
+      CREATE INDEX IF NOT EXISTS idx_jobs_canonical ON jobs(canonical_job_id);
+    `);
+
+    if (!needsBackfill) return;
+
+    // Rows are visited in id order so each one only looks at earlier jobs
+    let lastId = 0;
+    let grouped = 0;
+
+    while (true) {
+      const { rows } = await client.query(
+        'SELECT id, title, company, location FROM jobs WHERE id > $1 ORDER BY id LIMIT 500',
+        [lastId]
+      );
+      if (rows.length === 0) break;
+
+      for (const row of rows) {
+        if (await assignCanonicalJob(client, row.id, row)) grouped++;
+      }
+      lastId = rows[rows.length - 1].id;
+    }
+
+    console.log(`Grouped ${grouped} existing jobs as cross-source duplicates`);
+  },
+
+  async down(client) {
+    await client.query(`
+      ALTER TABLE jobs DROP COLUMN IF EXISTS canonical_job_id;
+      ALTER TABLE jobs DROP COLUMN IF EXISTS dedup_title;
+      ALTER TABLE jobs DROP COLUMN IF EXISTS dedup_company;
+      ALTER TABLE jobs DROP COLUMN IF EXISTS dedup_location;
+    `);
+  }
+};
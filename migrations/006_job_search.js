@@ -0,0 +1,36 @@
+// Full-text search over title, company and skills, and lowercased skills
+// for array matching. Both are IMMUTABLE wrappers so they can back
+// expression indexes; queries must call them the same way to use the index.
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE OR REPLACE FUNCTION jobs_search_vector(title TEXT, company TEXT, skills TEXT[]) RETURNS tsvector
+        LANGUAGE sql IMMUTABLE AS $$
+          SELECT setweight(to_tsvector('english', COALESCE(title, '')), 'A') ||
+                 setweight(to_tsvector('english', COALESCE(company, '')), 'B') ||
+                 setweight(to_tsvector('english', COALESCE(array_to_string(skills, ' '), '')), 'B')
+        $$;
+      CREATE OR REPLACE FUNCTION jobs_skills_lower(skills TEXT[]) RETURNS TEXT[]
+        LANGUAGE sql IMMUTABLE AS $$ SELECT ARRAY(SELECT LOWER(s) FROM UNNEST(skills) AS s) $$;
+
+      CREATE INDEX IF NOT EXISTS idx_jobs_search ON jobs USING GIN (jobs_search_vector(title, company, skills));
+      CREATE INDEX IF NOT EXISTS idx_jobs_skills ON jobs USING GIN (jobs_skills_lower(skills));
+    `);
+
+    // Keyset pagination of /api/jobs walks (posted date, id) newest first
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_jobs_posted_keyset
+        ON jobs ((COALESCE(posted_at, '-infinity'::timestamptz)) DESC, id DESC);
+    `);
+  },
+
+  async down(client) {
+    await client.query(`
+      DROP INDEX IF EXISTS idx_jobs_posted_keyset;
+      DROP INDEX IF EXISTS idx_jobs_search;
+      DROP INDEX IF EXISTS idx_jobs_skills;
+      DROP FUNCTION IF EXISTS jobs_search_vector(TEXT, TEXT, TEXT[]);
+      DROP FUNCTION IF EXISTS jobs_skills_lower(TEXT[]);
+    `);
+  }
+};
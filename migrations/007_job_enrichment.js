@@ -0,0 +1,28 @@
+// Detail page enrichment: the full description and fields the listing
+// cards don't show. enriched_at stays NULL until a visit succeeds.
+module.exports = {
+  async up(client) {
+    await client.query(`
+      ALTER TABLE jobs ADD COLUMN IF NOT EXISTS description TEXT;
+      ALTER TABLE jobs ADD COLUMN IF NOT EXISTS employment_type TEXT;
+      ALTER TABLE jobs ADD COLUMN IF NOT EXISTS apply_url TEXT;
+      ALTER TABLE jobs ADD COLUMN IF NOT EXISTS enriched_at TIMESTAMP WITH TIME ZONE;
+      ALTER TABLE jobs ADD COLUMN IF NOT EXISTS enrich_attempts INTEGER NOT NULL DEFAULT 0;
+      ALTER TABLE jobs ADD COLUMN IF NOT EXISTS enrich_started_at TIMESTAMP WITH TIME ZONE;
+      ALTER TABLE jobs ADD COLUMN IF NOT EXISTS enrich_error TEXT;
+      CREATE INDEX IF NOT EXISTS idx_jobs_enrich_pending ON jobs(created_at) WHERE enriched_at IS NULL;
+    `);
+  },
+
+  async down(client) {
+    await client.query(`
+      ALTER TABLE jobs DROP COLUMN IF EXISTS description;
+      ALTER TABLE jobs DROP COLUMN IF EXISTS employment_type;
+      ALTER TABLE jobs DROP COLUMN IF EXISTS apply_url;
+      ALTER TABLE jobs DROP COLUMN IF EXISTS enriched_at;
+      ALTER TABLE jobs DROP COLUMN IF EXISTS enrich_attempts;
+      ALTER TABLE jobs DROP COLUMN IF EXISTS enrich_started_at;
+      ALTER TABLE jobs DROP COLUMN IF EXISTS enrich_error;
+    `);
+  }
+};
@@ -0,0 +1,31 @@
+// Crawl runs are queued by /api/crawl and executed in the background
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS crawl_runs (
+        id SERIAL PRIMARY KEY,
+        params JSONB NOT NULL,
+        status TEXT NOT NULL DEFAULT 'queued',
+        progress JSONB NOT NULL DEFAULT '[]',
+        total_jobs INTEGER NOT NULL DEFAULT 0,
+        new_jobs INTEGER NOT NULL DEFAULT 0,
+        duplicates INTEGER NOT NULL DEFAULT 0,
+        errors JSONB NOT NULL DEFAULT '[]',
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        started_at TIMESTAMP WITH TIME ZONE,
+        finished_at TIMESTAMP WITH TIME ZONE,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE INDEX IF NOT EXISTS idx_crawl_runs_status ON crawl_runs(status);
+    `);
+
+    // Per-source breakdown for multi-source runs
+    await client.query(
+      "ALTER TABLE crawl_runs ADD COLUMN IF NOT EXISTS source_results JSONB NOT NULL DEFAULT '{}'"
+    );
+  },
+
+  async down(client) {
+    await client.query('DROP TABLE IF EXISTS crawl_runs CASCADE');
+  }
+};
@@ -0,0 +1,32 @@
+// Recurring crawls picked up by the in-process scheduler
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS crawl_schedules (
+        id SERIAL PRIMARY KEY,
+        name TEXT,
+        role TEXT NOT NULL,
+        location TEXT NOT NULL,
+        sources TEXT[] NOT NULL,
+        experience TEXT,
+        min_exp TEXT,
+        max_exp TEXT,
+        pages INTEGER,
+        cron TEXT NOT NULL,
+        timezone TEXT NOT NULL DEFAULT 'UTC',
+        enabled BOOLEAN NOT NULL DEFAULT TRUE,
+        next_run_at TIMESTAMP WITH TIME ZONE,
+        last_run_at TIMESTAMP WITH TIME ZONE,
+        last_run_id INTEGER REFERENCES crawl_runs(id) ON DELETE SET NULL,
+        last_skipped_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE INDEX IF NOT EXISTS idx_crawl_schedules_next_run ON crawl_schedules(next_run_at) WHERE enabled;
+    `);
+  },
+
+  async down(client) {
+    await client.query('DROP TABLE IF EXISTS crawl_schedules');
+  }
+};
@@ -0,0 +1,35 @@
+// Saved alert subscriptions and the jobs already delivered to each
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS alert_subscriptions (
+        id SERIAL PRIMARY KEY,
+        email TEXT NOT NULL,
+        role TEXT NOT NULL,
+        location TEXT,
+        source TEXT,
+        frequency TEXT NOT NULL DEFAULT 'daily',
+        active BOOLEAN NOT NULL DEFAULT TRUE,
+        last_sent_at TIMESTAMP WITH TIME ZONE,
+        unsubscribed_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE INDEX IF NOT EXISTS idx_alert_subscriptions_email ON alert_subscriptions(LOWER(email));
+
+      CREATE TABLE IF NOT EXISTS alert_deliveries (
+        subscription_id INTEGER NOT NULL REFERENCES alert_subscriptions(id) ON DELETE CASCADE,
+        job_id INTEGER NOT NULL REFERENCES jobs(id) ON DELETE CASCADE,
+        sent_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (subscription_id, job_id)
+      );
+    `);
+  },
+
+  async down(client) {
+    await client.query(`
+      DROP TABLE IF EXISTS alert_deliveries;
+      DROP TABLE IF EXISTS alert_subscriptions;
+    `);
+  }
+};
@@ -0,0 +1,24 @@
+// One row per notify() call so failed alerts are visible
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS notification_deliveries (
+        id SERIAL PRIMARY KEY,
+        channel TEXT NOT NULL,
+        target TEXT NOT NULL,
+        context TEXT,
+        job_count INTEGER NOT NULL DEFAULT 0,
+        status TEXT NOT NULL,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        last_error TEXT,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        finished_at TIMESTAMP WITH TIME ZONE
+      );
+      CREATE INDEX IF NOT EXISTS idx_notification_deliveries_status ON notification_deliveries(status);
+    `);
+  },
+
+  async down(client) {
+    await client.query('DROP TABLE IF EXISTS notification_deliveries');
+  }
+};
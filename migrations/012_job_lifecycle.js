@@ -0,0 +1,40 @@
+// Jobs are upserted on every crawl so we know when a posting was last seen.
+// Postings not seen for a while are expired, and expired ones are later
+// archived instead of deleted.
+module.exports = {
+  async up(client) {
+    await client.query(`
+      ALTER TABLE jobs ADD COLUMN IF NOT EXISTS first_seen_at TIMESTAMP WITH TIME ZONE;
+      ALTER TABLE jobs ADD COLUMN IF NOT EXISTS last_seen_at TIMESTAMP WITH TIME ZONE;
+      ALTER TABLE jobs ADD COLUMN IF NOT EXISTS seen_count INTEGER NOT NULL DEFAULT 1;
+      ALTER TABLE jobs ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'active';
+      ALTER TABLE jobs ADD COLUMN IF NOT EXISTS expired_at TIMESTAMP WITH TIME ZONE;
+      ALTER TABLE jobs ADD COLUMN IF NOT EXISTS archived_at TIMESTAMP WITH TIME ZONE;
+
+      UPDATE jobs
+      SET first_seen_at = COALESCE(created_at, NOW()), last_seen_at = COALESCE(created_at, NOW())
+      WHERE first_seen_at IS NULL;
+
+      ALTER TABLE jobs ALTER COLUMN first_seen_at SET DEFAULT CURRENT_TIMESTAMP;
+      ALTER TABLE jobs ALTER COLUMN first_seen_at SET NOT NULL;
+      ALTER TABLE jobs ALTER COLUMN last_seen_at SET DEFAULT CURRENT_TIMESTAMP;
+      ALTER TABLE jobs ALTER COLUMN last_seen_at SET NOT NULL;
+
+      ALTER TABLE jobs DROP CONSTRAINT IF EXISTS jobs_status_check;
+      ALTER TABLE jobs ADD CONSTRAINT jobs_status_check CHECK (status IN ('active', 'expired', 'archived'));
+
+      CREATE INDEX IF NOT EXISTS idx_jobs_status_last_seen ON jobs(status, last_seen_at);
+    `);
+  },
+
+  async down(client) {
+    await client.query(`
+      ALTER TABLE jobs DROP COLUMN IF EXISTS first_seen_at;
+      ALTER TABLE jobs DROP COLUMN IF EXISTS last_seen_at;
+      ALTER TABLE jobs DROP COLUMN IF EXISTS seen_count;
+      ALTER TABLE jobs DROP COLUMN IF EXISTS status;
+      ALTER TABLE jobs DROP COLUMN IF EXISTS expired_at;
+      ALTER TABLE jobs DROP COLUMN IF EXISTS archived_at;
+    `);
+  }
+};
@@ -0,0 +1,19 @@
+// One row per detected edit of a saved posting, with the changed fields as
+// { field: { from, to } }
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS job_revisions (
+        id SERIAL PRIMARY KEY,
+        job_id INTEGER NOT NULL REFERENCES jobs(id) ON DELETE CASCADE,
+        changes JSONB NOT NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE INDEX IF NOT EXISTS idx_job_revisions_job ON job_revisions(job_id, created_at);
+    `);
+  },
+
+  async down(client) {
+    await client.query('DROP TABLE IF EXISTS job_revisions');
+  }
+};
@@ -0,0 +1,83 @@
+// A frozen copy of dedup.js's normalizeCompany as it was when this
+// migration was written
+const COMPANY_SUFFIXES = /\b(private|pvt|limited|ltd|llp|llc|inc|incorporated|corp|corporation|co|company|plc|gmbh|india)\b/g;
+
+function normalizeCompany(company) {
+  const value = String(company || '')
+    .toLowerCase()
+    .replace(/\(.*?\)/g, ' ')
+    .replace(/[^a-z0-9+#.]+/g, ' ')
+    .replace(/\./g, ' ')
+    .replace(COMPANY_SUFFIXES, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+  return value === 'n a' || value === 'na' ? '' : value;
+}
+
+// Companies are keyed by normalized name ("Infosys Limited" and "Infosys"
+// are the same row). Aliases map other normalized names, like a brand or an
+// old name, onto a company.
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS companies (
+        id SERIAL PRIMARY KEY,
+        name TEXT NOT NULL,
+        normalized_name TEXT NOT NULL UNIQUE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS company_aliases (
+        alias TEXT PRIMARY KEY,
+        company_id INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE INDEX IF NOT EXISTS idx_company_aliases_company ON company_aliases(company_id);
+
+      ALTER TABLE jobs ADD COLUMN IF NOT EXISTS company_id INTEGER REFERENCES companies(id) ON DELETE SET NULL;
+      CREATE INDEX IF NOT EXISTS idx_jobs_company_id ON jobs(company_id);
+    `);
+
+    // Existing jobs: one company per normalized name, named after its most
+    // common spelling
+    const { rows } = await client.query(`
+      SELECT company, COUNT(*) AS count FROM jobs
+      WHERE company_id IS NULL
+      GROUP BY company
+      ORDER BY count DESC, company
+    `);
+
+    const byKey = new Map();
+    for (const { company } of rows) {
+      const key = normalizeCompany(company);
+      if (!key) continue;
+      if (!byKey.has(key)) byKey.set(key, { name: company.trim(), variants: [] });
+      byKey.get(key).variants.push(company);
+    }
+
+    for (const [key, { name, variants }] of byKey) {
+      const company = await client.query(
+        `INSERT INTO companies (name, normalized_name) VALUES ($1, $2)
+         ON CONFLICT (normalized_name) DO UPDATE SET normalized_name = EXCLUDED.normalized_name
+         RETURNING id`,
+        [name, key]
+      );
+      await client.query(
+        'UPDATE jobs SET company_id = $1 WHERE company = ANY($2::text[]) AND company_id IS NULL',
+        [company.rows[0].id, variants]
+      );
+    }
+
+    if (byKey.size > 0) {
+      console.log(`Created ${byKey.size} companies from existing jobs`);
+    }
+  },
+
+  async down(client) {
+    await client.query(`
+      ALTER TABLE jobs DROP COLUMN IF EXISTS company_id;
+      DROP TABLE IF EXISTS company_aliases;
+      DROP TABLE IF EXISTS companies;
+    `);
+  }
+};
@@ -0,0 +1,57 @@
+const { locationColumns } = require('../sources/location');
+
+// Structured location parsed from the raw text against the bundled gazetteer
+// (sources/gazetteer.json). cities lists every city a multi-city posting
+// names; city/state/country describe the first.
+module.exports = {
+  async up(client) {
+    const existing = await client.query(
+      "SELECT 1 FROM information_schema.columns WHERE table_name = 'jobs' AND column_name = 'cities'"
+    );
+    const needsBackfill = existing.rows.length === 0;
+
+    await client.query(`
+      ALTER TABLE jobs ADD COLUMN IF NOT EXISTS city TEXT;
+      ALTER TABLE jobs ADD COLUMN IF NOT EXISTS state TEXT;
+      ALTER TABLE jobs ADD COLUMN IF NOT EXISTS country TEXT;
+      ALTER TABLE jobs ADD COLUMN IF NOT EXISTS cities TEXT[] NOT NULL DEFAULT '{}';
+      ALTER TABLE jobs ADD COLUMN IF NOT EXISTS work_mode TEXT;
+
+      ALTER TABLE jobs DROP CONSTRAINT IF EXISTS jobs_work_mode_check;
+      ALTER TABLE jobs ADD CONSTRAINT jobs_work_mode_check CHECK (work_mode IN ('remote', 'hybrid', 'onsite'));
+
+      CREATE INDEX IF NOT EXISTS idx_jobs_cities ON jobs USING GIN (cities);
+      CREATE INDEX IF NOT EXISTS idx_jobs_work_mode ON jobs(work_mode);
+    `);
+
+    if (!needsBackfill) return;
+
+    // Far fewer distinct strings than jobs, so parse each once
+    const { rows } = await client.query('SELECT DISTINCT location FROM jobs WHERE location IS NOT NULL');
+
+    let updated = 0;
+    for (const { location } of rows) {
+      const columns = locationColumns(location);
+      if (!columns.country && !columns.work_mode) continue;
+
+      const result = await client.query(
+        `UPDATE jobs SET city = $2, state = $3, country = $4, cities = $5, work_mode = $6
+         WHERE location = $1`,
+        [location, columns.city, columns.state, columns.country, columns.cities, columns.work_mode]
+      );
+      updated += result.rowCount;
+    }
+
+    console.log(`Backfilled locations for ${updated} jobs from ${rows.length} distinct location strings`);
+  },
+
+  async down(client) {
+    await client.query(`
+      ALTER TABLE jobs DROP COLUMN IF EXISTS city;
+      ALTER TABLE jobs DROP COLUMN IF EXISTS state;
+      ALTER TABLE jobs DROP COLUMN IF EXISTS country;
+      ALTER TABLE jobs DROP COLUMN IF EXISTS cities;
+      ALTER TABLE jobs DROP COLUMN IF EXISTS work_mode;
+    `);
+  }
+};
@@ -0,0 +1,32 @@
+// Extraction quality per source per crawl run, the history that anomaly
+// detection compares new runs against. N/A rates are fractions of the jobs
+// found (null when none were).
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS extraction_metrics (
+        id SERIAL PRIMARY KEY,
+        run_id INTEGER REFERENCES crawl_runs(id) ON DELETE SET NULL,
+        source TEXT NOT NULL,
+        role TEXT,
+        location TEXT,
+        jobs_found INTEGER NOT NULL,
+        pages_reached INTEGER NOT NULL,
+        na_title REAL,
+        na_company REAL,
+        na_location REAL,
+        na_posted_date REAL,
+        anomalies JSONB NOT NULL DEFAULT '[]',
+        alerted_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE INDEX IF NOT EXISTS idx_extraction_metrics_source ON extraction_metrics(source, id DESC);
+      CREATE INDEX IF NOT EXISTS idx_extraction_metrics_search
+        ON extraction_metrics(source, lower(role), lower(location), id DESC);
+    `);
+  },
+
+  async down(client) {
+    await client.query('DROP TABLE IF EXISTS extraction_metrics');
+  }
+};
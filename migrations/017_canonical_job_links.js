@@ -0,0 +1,125 @@
+// A frozen copy of sources/normalize.js's canonicalizeUrl as it was when
+// this migration was written
+const TRACKING_PARAMS = [
+  'trk', 'trkinfo', 'trackingid', 'refid', 'position', 'pagenum', 'lipi', 'originalsubdomain',
+  'src', 'sid', 'xid', 'xp', 'px', 'ref', 'referrer', 'fbclid', 'gclid', 'msclkid', 'searchid'
+];
+
+function canonicalizeUrl(link) {
+  let url;
+  try {
+    url = new URL(link);
+  } catch (error) {
+    return link;
+  }
+
+  url.hash = '';
+  url.hostname = url.hostname.toLowerCase();
+
+  if (url.hostname.endsWith('linkedin.com')) {
+    url.hostname = 'www.linkedin.com';
+    const jobId = url.pathname.match(/\/jobs\/view\/(?:.*-)?(\d+)\/?$/);
+    if (jobId) {
+      url.pathname = `/jobs/view/${jobId[1]}`;
+      url.search = '';
+    }
+  }
+
+  for (const key of Array.from(url.searchParams.keys())) {
+    const lower = key.toLowerCase();
+    if (lower.startsWith('utm_') || TRACKING_PARAMS.includes(lower)) {
+      url.searchParams.delete(key);
+    }
+  }
+  url.searchParams.sort();
+
+  if (url.pathname.length > 1) {
+    url.pathname = url.pathname.replace(/\/+$/, '');
+  }
+
+  return url.toString();
+}
+
+// Links saved before crawls canonicalized them still carry tracking
+// parameters, so a re-crawl of the same posting misses ON CONFLICT (link)
+// and inserts a second row. Rewrites those links and, where the canonical
+// link already exists, merges the two rows into the older one.
+
+// Folds `loserId` into `survivorId`: sightings, lifecycle, enrichment,
+// revision history, alert deliveries and duplicate pointers move over, then
+// the loser is deleted
+async function mergeJobs(client, survivorId, loserId) {
+  await client.query(
+    `UPDATE jobs AS survivor
+     SET first_seen_at = LEAST(survivor.first_seen_at, loser.first_seen_at),
+         last_seen_at = GREATEST(survivor.last_seen_at, loser.last_seen_at),
+         created_at = LEAST(survivor.created_at, loser.created_at),
+         seen_count = survivor.seen_count + loser.seen_count,
+         status = CASE WHEN 'active' IN (survivor.status, loser.status) THEN 'active' ELSE survivor.status END,
+         expired_at = CASE WHEN 'active' IN (survivor.status, loser.status) THEN NULL ELSE survivor.expired_at END,
+         archived_at = CASE WHEN 'active' IN (survivor.status, loser.status) THEN NULL ELSE survivor.archived_at END,
+         description = COALESCE(survivor.description, loser.description),
+         employment_type = COALESCE(survivor.employment_type, loser.employment_type),
+         apply_url = COALESCE(survivor.apply_url, loser.apply_url),
+         enriched_at = COALESCE(survivor.enriched_at, loser.enriched_at)
+     FROM jobs AS loser
+     WHERE survivor.id = $1 AND loser.id = $2`,
+    [survivorId, loserId]
+  );
+
+  await client.query('UPDATE job_revisions SET job_id = $1 WHERE job_id = $2', [survivorId, loserId]);
+  await client.query(
+    `INSERT INTO alert_deliveries (subscription_id, job_id, sent_at)
+     SELECT subscription_id, $1, sent_at FROM alert_deliveries WHERE job_id = $2
+     ON CONFLICT DO NOTHING`,
+    [survivorId, loserId]
+  );
+  await client.query('UPDATE jobs SET canonical_job_id = $1 WHERE canonical_job_id = $2', [survivorId, loserId]);
+  // The loser may have been grouped under the survivor as a fuzzy duplicate
+  await client.query('UPDATE jobs SET canonical_job_id = NULL WHERE id = $1 AND canonical_job_id = $1', [survivorId]);
+  await client.query('DELETE FROM jobs WHERE id = $1', [loserId]);
+}
+
+module.exports = {
+  async up(client) {
+    let lastId = 0;
+    let rewritten = 0;
+    let merged = 0;
+
+    while (true) {
+      const { rows } = await client.query(
+        'SELECT id, link FROM jobs WHERE id > $1 ORDER BY id LIMIT 500',
+        [lastId]
+      );
+      if (rows.length === 0) break;
+
+      for (const row of rows) {
+        const link = canonicalizeUrl(row.link);
+        if (link === row.link) continue;
+
+        const existing = await client.query('SELECT id FROM jobs WHERE link = $1', [link]);
+        if (existing.rows.length === 0) {
+          await client.query('UPDATE jobs SET link = $2 WHERE id = $1', [row.id, link]);
+          rewritten++;
+          continue;
+        }
+
+        // The older row keeps its id, so links to /api/jobs/:id stay valid for it
+        const otherId = existing.rows[0].id;
+        if (otherId < row.id) {
+          await mergeJobs(client, otherId, row.id);
+        } else {
+          await mergeJobs(client, row.id, otherId);
+          await client.query('UPDATE jobs SET link = $2 WHERE id = $1', [row.id, link]);
+        }
+        merged++;
+      }
+      lastId = rows[rows.length - 1].id;
+    }
+
+    console.log(`Canonicalized ${rewritten} job links and merged ${merged} duplicate rows`);
+  },
+
+  // The tracking parameters that were stripped can't be restored
+  async down() {}
+};
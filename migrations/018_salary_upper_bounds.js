@@ -0,0 +1,15 @@
+// "Up to 50 Lacs" used to be stored as an exact salary (min = max); keep
+// only the upper bound for those. Done in SQL so later parser changes don't
+// change what this migration does.
+module.exports = {
+  async up(client) {
+    const result = await client.query(
+      `UPDATE jobs SET salary_min = NULL
+       WHERE salary ~* '\\m(up ?to|max(imum)?|till)\\M' AND salary_min = salary_max`
+    );
+    console.log(`Re-parsed ${result.rowCount} upper-bound-only salaries`);
+  },
+
+  // Upper bounds stay as they are; the old min = max values were wrong
+  async down() {}
+};
@@ -0,0 +1,141 @@
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+// Held for the whole run so two instances starting at once don't both migrate
+const MIGRATION_LOCK_KEY = 5006;
+
+// Migration files are named NNN_description.js and export up(client) and
+// down(client). Each runs in its own transaction together with its
+// schema_migrations row, so a failure leaves the schema at the previous version.
+function loadMigrations() {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .map(file => file.match(/^(\d+)_(.+)\.js$/))
+    .filter(Boolean)
+    .map(([file, version, name]) => ({
+      version: parseInt(version, 10),
+      name,
+      ...require(path.join(MIGRATIONS_DIR, file))
+    }))
+    .sort((a, b) => a.version - b.version);
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+async function appliedVersions(client) {
+  const result = await client.query('SELECT version FROM schema_migrations ORDER BY version');
+  return new Set(result.rows.map(row => row.version));
+}
+
+async function withMigrationLock(pool, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+    try {
+      await ensureMigrationsTable(client);
+      return await fn(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+async function runStep(client, migration, direction) {
+  await client.query('BEGIN');
+  try {
+    await migration[direction](client);
+    if (direction === 'up') {
+      await client.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [migration.version, migration.name]);
+    } else {
+      await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+    }
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    error.message = `Migration ${migration.version}_${migration.name} (${direction}) failed: ${error.message}`;
+    throw error;
+  }
+}
+
+// Applies every pending migration up to `to` (default: all). Returns the
+// migrations that were applied.
+async function migrate(pool, { to = Infinity } = {}) {
+  return withMigrationLock(pool, async client => {
+    const applied = await appliedVersions(client);
+    const pending = loadMigrations().filter(m => !applied.has(m.version) && m.version <= to);
+
+    for (const migration of pending) {
+      console.log(`Applying migration ${migration.version}_${migration.name}`);
+      await runStep(client, migration, 'up');
+    }
+    return pending.map(({ version, name }) => ({ version, name }));
+  });
+}
+
+// Reverts the most recently applied `steps` migrations. Returns the
+// migrations that were reverted.
+async function rollback(pool, { steps = 1 } = {}) {
+  return withMigrationLock(pool, async client => {
+    const applied = await appliedVersions(client);
+    const migrations = loadMigrations();
+
+    // A newer deploy applied it; rolling back around it would skip its down()
+    const latest = Math.max(0, ...applied);
+    if (latest > 0 && !migrations.some(m => m.version === latest)) {
+      throw new Error(`Applied migration ${latest} has no file here; roll back from the release that added it`);
+    }
+
+    const toRevert = migrations.filter(m => applied.has(m.version)).reverse().slice(0, steps);
+
+    for (const migration of toRevert) {
+      console.log(`Reverting migration ${migration.version}_${migration.name}`);
+      await runStep(client, migration, 'down');
+    }
+    return toRevert.map(({ version, name }) => ({ version, name }));
+  });
+}
+
+// Every known migration with whether and when it was applied
+async function migrationStatus(pool) {
+  const client = await pool.connect();
+  try {
+    await ensureMigrationsTable(client);
+    const result = await client.query('SELECT version, applied_at FROM schema_migrations');
+    const appliedAt = new Map(result.rows.map(row => [row.version, row.applied_at]));
+
+    return loadMigrations().map(({ version, name }) => ({
+      version,
+      name,
+      applied: appliedAt.has(version),
+      appliedAt: appliedAt.get(version) || null
+    }));
+  } finally {
+    client.release();
+  }
+}
+
+// Highest applied version, or 0 for a database that has never been migrated
+async function schemaVersion(pool) {
+  const exists = await pool.query("SELECT to_regclass('schema_migrations') IS NOT NULL AS exists");
+  if (!exists.rows[0].exists) return 0;
+  const result = await pool.query('SELECT COALESCE(MAX(version), 0) AS version FROM schema_migrations');
+  return result.rows[0].version;
+}
+
+module.exports = {
+  loadMigrations,
+  migrate,
+  rollback,
+  migrationStatus,
+  schemaVersion
+};
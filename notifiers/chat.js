@@ -0,0 +1,47 @@
+const { validateUrl, postJson } = require('./http');
+
+// Chat messages get long quickly, so only the first few jobs are listed
+const MAX_JOBS = 15;
+
+function summary(jobs) {
+  return `New Job Alerts (${jobs.length} positions)`;
+}
+
+const slack = {
+  name: 'slack',
+  validateTarget: validateUrl,
+  async send(target, jobs) {
+    const lines = jobs.slice(0, MAX_JOBS).map(job =>
+      `• <${job.link}|${job.title}> at ${job.company} (${job.location}, ${job.source})`
+    );
+    if (jobs.length > MAX_JOBS) lines.push(`…and ${jobs.length - MAX_JOBS} more`);
+
+    await postJson(target, {
+      text: `*${summary(jobs)}*\n${lines.join('\n')}`
+    });
+  }
+};
+
+const teams = {
+  name: 'teams',
+  validateTarget: validateUrl,
+  async send(target, jobs) {
+    const lines = jobs.slice(0, MAX_JOBS).map(job =>
+      `- [${job.title}](${job.link}) at ${job.company} (${job.location}, ${job.source})`
+    );
+    if (jobs.length > MAX_JOBS) lines.push(`- …and ${jobs.length - MAX_JOBS} more`);
+
+    await postJson(target, {
+      '@type': 'MessageCard',
+      '@context': 'https://schema.org/extensions',
+      summary: summary(jobs),
+      title: summary(jobs),
+      text: lines.join('\n')
+    });
+  }
+};
+
+module.exports = {
+  slack,
+  teams
+};
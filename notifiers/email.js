@@ -0,0 +1,103 @@
+const nodemailer = require('nodemailer');
+
+const transporters = {};
+
+function createTransporter(channel) {
+  if (channel === 'smtp') {
+    if (!process.env.SMTP_HOST) {
+      throw new Error('SMTP_HOST is not configured');
+    }
+    return nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? {
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS
+      } : undefined
+    });
+  }
+
+  return nodemailer.createTransport({
+    service: 'gmail',
+    auth: {
+      user: process.env.EMAIL_USER,
+      pass: process.env.EMAIL_PASS
+    }
+  });
+}
+
+function getTransporter(channel) {
+  if (!transporters[channel]) {
+    transporters[channel] = createTransporter(channel);
+  }
+  return transporters[channel];
+}
+
+function generateEmailHtml(jobs, { unsubscribeUrl } = {}) {
+  return `
+    <div style="font-family: Arial, sans-serif; max-width: 800px; margin: 0 auto;">
+      <h1 style="color: #333;">New Job Matches</h1>
+      <ul style="list-style: none; padding: 0;">
+        ${jobs.map(job => `
+          <li style="margin-bottom: 20px; border-bottom: 1px solid #eee; padding-bottom: 10px;">
+            <h3 style="margin: 0 0 5px 0; color: #1976d2;">${job.title}</h3>
+            <p style="margin: 0 0 5px 0;"><strong>Company:</strong> ${job.company}</p>
+            <p style="margin: 0 0 5px 0;"><strong>Location:</strong> ${job.location}</p>
+            ${job.salary !== 'Not specified' ? `<p style="margin: 0 0 5px 0;"><strong>Salary:</strong> ${job.salary}</p>` : ''}
+            <p style="margin: 0 0 5px 0;"><strong>Posted:</strong> ${job.posted_at ? new Date(job.posted_at).toLocaleDateString() : job.posted_date_original || 'N/A'}</p>
+            <p style="margin: 0 0 5px 0;"><strong>Source:</strong> ${job.source}</p>
+            <a href="${job.link}" style="display: inline-block; margin-top: 10px; padding: 8px 15px; background-color: #1976d2; color: white; text-decoration: none; border-radius: 4px;">View Job</a>
+          </li>
+        `).join('')}
+      </ul>
+      ${unsubscribeUrl ? `
+        <p style="margin-top: 30px; font-size: 12px; color: #888;">
+          You are receiving this because you subscribed to job alerts.
+          <a href="${unsubscribeUrl}" style="color: #888;">Unsubscribe</a>
+        </p>
+      ` : ''}
+    </div>
+  `;
+}
+
+function createEmailChannel(name) {
+  return {
+    name,
+    validateTarget(target) {
+      return typeof target === 'string' && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(target)
+        ? null
+        : 'A valid email address is required';
+    },
+    // options.unsubscribeUrl adds a footer link and one-click List-Unsubscribe headers;
+    // options.subject and options.html replace the job listing for other notices
+    async send(target, jobs, options = {}) {
+      const from = name === 'smtp'
+        ? process.env.SMTP_FROM || process.env.SMTP_USER
+        : process.env.EMAIL_USER;
+
+      const mailOptions = {
+        from: `"Job Crawler" <${from}>`,
+        to: target,
+        subject: options.subject || `New Job Alerts (${jobs.length} positions)`,
+        html: options.html || generateEmailHtml(jobs, options)
+      };
+
+      if (options.unsubscribeUrl) {
+        mailOptions.headers = {
+          'List-Unsubscribe': `<${options.unsubscribeUrl}>`,
+          'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+        };
+      }
+
+      const info = await getTransporter(name).sendMail(mailOptions);
+      console.log('Email sent:', info.messageId);
+    }
+  };
+}
+
+module.exports = {
+  generateEmailHtml,
+  email: createEmailChannel('email'),
+  smtp: createEmailChannel('smtp')
+};
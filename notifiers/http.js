@@ -0,0 +1,30 @@
+const axios = require('axios');
+
+function validateUrl(target) {
+  try {
+    const url = new URL(target);
+    return ['http:', 'https:'].includes(url.protocol) ? null : 'Target must be an http(s) URL';
+  } catch (error) {
+    return 'Target must be a valid URL';
+  }
+}
+
+// Client errors other than 429 won't succeed on retry, so mark them final
+async function postJson(url, body, headers = {}) {
+  try {
+    await axios.post(url, body, {
+      headers: { 'Content-Type': 'application/json', ...headers },
+      timeout: 10000
+    });
+  } catch (error) {
+    const status = error.response?.status;
+    const wrapped = new Error(status ? `HTTP ${status} from ${new URL(url).host}` : error.message);
+    wrapped.retryable = !(status >= 400 && status < 500 && status !== 429);
+    throw wrapped;
+  }
+}
+
+module.exports = {
+  validateUrl,
+  postJson
+};
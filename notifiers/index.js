@@ -0,0 +1,136 @@
+const { pool } = require('../db');
+const { email, smtp } = require('./email');
+const { slack, teams } = require('./chat');
+const { webhook } = require('./webhook');
+
+const MAX_ATTEMPTS = parseInt(process.env.NOTIFY_MAX_ATTEMPTS, 10) || 3;
+const RETRY_BASE_MS = parseInt(process.env.NOTIFY_RETRY_BASE_MS, 10) || 1000;
+
+// A channel is { name, validateTarget(target) -> error message or null,
+// send(target, jobs, options) } where send throws on failure. Errors with
+// retryable === false are not retried.
+const channels = new Map(
+  [email, smtp, slack, teams, webhook].map(channel => [channel.name, channel])
+);
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function getChannel(name) {
+  return channels.get(String(name).toLowerCase()) || null;
+}
+
+function listChannels() {
+  return Array.from(channels.keys());
+}
+
+// Webhook URLs embed their credentials, so only the origin is logged
+function maskTarget(target) {
+  try {
+    const url = new URL(target);
+    if (url.protocol === 'http:' || url.protocol === 'https:') return `${url.origin}/…`;
+  } catch (error) {
+    // Not a URL (an email address)
+  }
+  return target;
+}
+
+async function logDelivery(delivery) {
+  try {
+    const result = await pool.query(
+      `INSERT INTO notification_deliveries
+       (channel, target, context, job_count, status, attempts, last_error, finished_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
+       RETURNING id`,
+      [
+        delivery.channel,
+        maskTarget(delivery.target),
+        delivery.context || null,
+        delivery.jobCount,
+        delivery.status,
+        delivery.attempts,
+        delivery.error || null
+      ]
+    );
+    return result.rows[0].id;
+  } catch (error) {
+    console.error('Failed to log notification delivery:', error);
+    return null;
+  }
+}
+
+// Sends jobs through a channel, retrying with exponential backoff, and
+// records the outcome in notification_deliveries. Never throws.
+async function notify(channelName, target, jobs, options = {}) {
+  const channel = getChannel(channelName);
+  if (!channel) {
+    return { success: false, attempts: 0, error: `Unknown notification channel "${channelName}"` };
+  }
+
+  let attempts = 0;
+  let lastError = null;
+
+  while (attempts < MAX_ATTEMPTS) {
+    attempts++;
+    try {
+      await channel.send(target, jobs, options);
+      lastError = null;
+      break;
+    } catch (error) {
+      lastError = error;
+      console.error(`${channel.name} notification attempt ${attempts} failed:`, error.message);
+      if (error.retryable === false || attempts >= MAX_ATTEMPTS) break;
+      await sleep(RETRY_BASE_MS * 2 ** (attempts - 1));
+    }
+  }
+
+  const deliveryId = await logDelivery({
+    channel: channel.name,
+    target,
+    context: options.context,
+    jobCount: jobs.length,
+    status: lastError ? 'failed' : 'sent',
+    attempts,
+    error: lastError?.message
+  });
+
+  return {
+    success: !lastError,
+    attempts,
+    deliveryId,
+    error: lastError?.message
+  };
+}
+
+async function listDeliveries({ status, channel, limit = 50 } = {}) {
+  const queryParams = [];
+  const whereClauses = [];
+
+  if (status) {
+    queryParams.push(status);
+    whereClauses.push(`status = $${queryParams.length}`);
+  }
+
+  if (channel) {
+    queryParams.push(channel);
+    whereClauses.push(`channel = $${queryParams.length}`);
+  }
+
+  let query = 'SELECT * FROM notification_deliveries';
+  if (whereClauses.length > 0) {
+    query += ' WHERE ' + whereClauses.join(' AND ');
+  }
+  queryParams.push(limit);
+  query += ` ORDER BY id DESC LIMIT $${queryParams.length}`;
+
+  const result = await pool.query(query, queryParams);
+  return result.rows;
+}
+
+module.exports = {
+  getChannel,
+  listChannels,
+  notify,
+  listDeliveries
+};
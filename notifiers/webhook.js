@@ -0,0 +1,50 @@
+const crypto = require('crypto');
+const { validateUrl, postJson } = require('./http');
+
+// Receivers verify X-Signature-256 by computing
+// HMAC-SHA256(secret, `${X-Timestamp}.${rawBody}`) and comparing the hex digest.
+function sign(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+const webhook = {
+  name: 'webhook',
+  validateTarget: validateUrl,
+  async send(target, jobs, options = {}) {
+    const secret = options.secret || process.env.WEBHOOK_SECRET;
+    if (!secret) {
+      const error = new Error('A webhook secret is required (request secret or WEBHOOK_SECRET)');
+      error.retryable = false;
+      throw error;
+    }
+
+    const body = JSON.stringify({
+      event: 'jobs.alert',
+      count: jobs.length,
+      sentAt: new Date().toISOString(),
+      jobs: jobs.map(job => ({
+        id: job.id,
+        title: job.title,
+        company: job.company,
+        experience: job.experience,
+        location: job.location,
+        skills: job.skills,
+        salary: job.salary,
+        link: job.link,
+        source: job.source,
+        postedAt: job.posted_at,
+        postedDateOriginal: job.posted_date_original
+      }))
+    });
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+
+    await postJson(target, body, {
+      'X-Timestamp': timestamp,
+      'X-Signature-256': `sha256=${sign(secret, timestamp, body)}`
+    });
+  }
+};
+
+module.exports = {
+  webhook
+};
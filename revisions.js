@@ -0,0 +1,124 @@
+const { pool } = require('./db');
+const { parseExperience, parseSalary } = require('./sources/ranges');
+const { locationColumns } = require('./sources/location');
+
+// A re-crawl must move posted_at forward by more than this to count as a
+// re-posting; relative dates ("3 days ago") drift by hours between crawls
+const REPOST_THRESHOLD_MS = 2 * 24 * 60 * 60 * 1000;
+
+// Values extractors fall back to when a card doesn't show a field. A
+// placeholder never overwrites a real value (e.g. one filled in by enrichment).
+function isPlaceholder(value) {
+  if (Array.isArray(value)) return value.length === 0;
+  return !value || ['n/a', 'not specified'].includes(String(value).trim().toLowerCase());
+}
+
+function sameSkills(a, b) {
+  const normalize = skills => (skills || []).map(s => s.toLowerCase()).sort().join('|');
+  return normalize(a) === normalize(b);
+}
+
+// Compares a saved row with a freshly crawled job. Returns the changes to
+// record ({ field: { from, to } }) and the column updates that apply them.
+function diffJob(row, job) {
+  const changes = {};
+  const updates = {};
+
+  for (const field of ['title', 'company', 'location']) {
+    if (!isPlaceholder(job[field]) && job[field] !== row[field]) {
+      changes[field] = { from: row[field], to: job[field] };
+      updates[field] = job[field];
+    }
+  }
+
+  if (updates.location) {
+    Object.assign(updates, locationColumns(updates.location));
+  }
+
+  if (!isPlaceholder(job.experience) && job.experience !== row.experience) {
+    const experience = parseExperience(job.experience);
+    changes.experience = { from: row.experience, to: job.experience };
+    Object.assign(updates, { experience: job.experience, exp_min: experience.min, exp_max: experience.max });
+  }
+
+  if (!isPlaceholder(job.salary) && job.salary !== row.salary) {
+    const salary = parseSalary(job.salary);
+    changes.salary = { from: row.salary, to: job.salary };
+    Object.assign(updates, {
+      salary: job.salary,
+      salary_min: salary.min,
+      salary_max: salary.max,
+      salary_currency: salary.currency,
+      salary_period: salary.period
+    });
+  }
+
+  if (!isPlaceholder(job.skills) && !sameSkills(job.skills, row.skills)) {
+    changes.skills = { from: row.skills, to: job.skills };
+    updates.skills = job.skills;
+  }
+
+  // Open-ended dates like "30+ days" move forward every day without a repost
+  const openEnded = /\+/.test(job.postedDateOriginal || '');
+  if (job.postedAt && !openEnded && row.posted_at &&
+      job.postedAt.getTime() - row.posted_at.getTime() > REPOST_THRESHOLD_MS) {
+    changes.posted_at = { from: row.posted_at.toISOString(), to: job.postedAt.toISOString() };
+    Object.assign(updates, {
+      posted_at: job.postedAt,
+      posted_date: job.postedAt.toISOString(),
+      posted_date_original: job.postedDateOriginal || 'N/A'
+    });
+  }
+
+  return { changes, updates };
+}
+
+// Saved rows for the given links, locked until the caller's transaction ends
+async function findExistingJobs(client, links) {
+  const result = await client.query(
+    `SELECT id, link, title, company, location, experience, salary, skills, posted_at
+     FROM jobs WHERE link = ANY($1::text[])
+     FOR UPDATE`,
+    [links]
+  );
+  return new Map(result.rows.map(row => [row.link, row]));
+}
+
+// Applies a crawled job's edits to its saved row and records the revision.
+// Returns the recorded changes, or null when nothing changed.
+async function applyRevision(client, row, job) {
+  const { changes, updates } = diffJob(row, job);
+  const columns = Object.keys(updates);
+  if (columns.length === 0) return null;
+
+  const assignments = columns.map((column, index) => `${column} = $${index + 2}`);
+  await client.query(
+    `UPDATE jobs SET ${assignments.join(', ')} WHERE id = $1`,
+    [row.id, ...columns.map(column => updates[column])]
+  );
+  await client.query(
+    'INSERT INTO job_revisions (job_id, changes) VALUES ($1, $2)',
+    [row.id, changes]
+  );
+  return changes;
+}
+
+async function getJobHistory(jobId) {
+  const result = await pool.query(
+    'SELECT id, changes, created_at FROM job_revisions WHERE job_id = $1 ORDER BY created_at, id',
+    [jobId]
+  );
+  return result.rows.map(row => ({
+    id: row.id,
+    changes: row.changes,
+    createdAt: row.created_at
+  }));
+}
+
+module.exports = {
+  isPlaceholder,
+  diffJob,
+  findExistingJobs,
+  applyRevision,
+  getJobHistory
+};
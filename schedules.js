@@ -0,0 +1,263 @@
+const { CronExpressionParser } = require('cron-parser');
+const { pool } = require('./db');
+const { enqueueCrawl, wakeCrawlWorker } = require('./crawlRuns');
+
+const TICK_MS = parseInt(process.env.SCHEDULER_INTERVAL_MS, 10) || 60000;
+const DEFAULT_TIMEZONE = process.env.SCHEDULER_TIMEZONE || 'UTC';
+// First key of the two-part advisory lock; the second is the schedule id
+const SCHEDULE_LOCK_NAMESPACE = 5005;
+
+let timer = null;
+let ticking = false;
+
+function nextRunAt(cron, timezone, from = new Date()) {
+  return CronExpressionParser.parse(cron, { tz: timezone, currentDate: from }).next().toDate();
+}
+
+// Returns an error message, or null when the expression is usable
+function validateCron(cron, timezone = DEFAULT_TIMEZONE) {
+  try {
+    nextRunAt(cron, timezone);
+    return null;
+  } catch (error) {
+    return `Invalid cron expression or timezone: ${error.message}`;
+  }
+}
+
+const SELECT_SCHEDULES = `
+  SELECT s.*,
+         r.status AS last_run_status,
+         r.total_jobs AS last_run_total_jobs,
+         r.new_jobs AS last_run_new_jobs,
+         r.errors AS last_run_errors,
+         r.finished_at AS last_run_finished_at
+  FROM crawl_schedules s
+  LEFT JOIN crawl_runs r ON r.id = s.last_run_id
+`;
+
+function formatSchedule(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    role: row.role,
+    location: row.location,
+    sources: row.sources,
+    experience: row.experience,
+    minExp: row.min_exp,
+    maxExp: row.max_exp,
+    pages: row.pages,
+    cron: row.cron,
+    timezone: row.timezone,
+    enabled: row.enabled,
+    nextRunAt: row.next_run_at,
+    lastRunAt: row.last_run_at,
+    lastSkippedAt: row.last_skipped_at,
+    lastRun: row.last_run_id ? {
+      id: row.last_run_id,
+      status: row.last_run_status,
+      totalJobs: row.last_run_total_jobs,
+      newJobs: row.last_run_new_jobs,
+      errors: row.last_run_errors,
+      finishedAt: row.last_run_finished_at
+    } : null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+async function listSchedules() {
+  const result = await pool.query(`${SELECT_SCHEDULES} ORDER BY s.id`);
+  return result.rows.map(formatSchedule);
+}
+
+async function getSchedule(id) {
+  const result = await pool.query(`${SELECT_SCHEDULES} WHERE s.id = $1`, [id]);
+  return result.rows.length > 0 ? formatSchedule(result.rows[0]) : null;
+}
+
+async function createSchedule(fields) {
+  const timezone = fields.timezone || DEFAULT_TIMEZONE;
+  const enabled = fields.enabled !== false;
+
+  const result = await pool.query(
+    `INSERT INTO crawl_schedules
+     (name, role, location, sources, experience, min_exp, max_exp, pages, cron, timezone, enabled, next_run_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+     RETURNING id`,
+    [
+      fields.name || null,
+      fields.role,
+      fields.location,
+      fields.sources,
+      fields.experience || null,
+      fields.minExp || null,
+      fields.maxExp || null,
+      fields.pages || null,
+      fields.cron,
+      timezone,
+      enabled,
+      enabled ? nextRunAt(fields.cron, timezone) : null
+    ]
+  );
+  return getSchedule(result.rows[0].id);
+}
+
+const UPDATABLE_COLUMNS = {
+  name: 'name',
+  role: 'role',
+  location: 'location',
+  sources: 'sources',
+  experience: 'experience',
+  minExp: 'min_exp',
+  maxExp: 'max_exp',
+  pages: 'pages',
+  cron: 'cron',
+  timezone: 'timezone',
+  enabled: 'enabled'
+};
+
+// Applies a partial update and recomputes next_run_at from now
+async function updateSchedule(id, fields) {
+  const existing = await getSchedule(id);
+  if (!existing) return null;
+
+  const merged = { ...existing, ...fields };
+  const assignments = [];
+  const values = [id];
+
+  for (const [key, column] of Object.entries(UPDATABLE_COLUMNS)) {
+    if (fields[key] !== undefined) {
+      values.push(fields[key]);
+      assignments.push(`${column} = $${values.length}`);
+    }
+  }
+
+  values.push(merged.enabled ? nextRunAt(merged.cron, merged.timezone) : null);
+  assignments.push(`next_run_at = $${values.length}`, 'updated_at = NOW()');
+
+  await pool.query(`UPDATE crawl_schedules SET ${assignments.join(', ')} WHERE id = $1`, values);
+  return getSchedule(id);
+}
+
+async function deleteSchedule(id) {
+  const result = await pool.query('DELETE FROM crawl_schedules WHERE id = $1', [id]);
+  return result.rowCount > 0;
+}
+
+function scheduleParams(schedule) {
+  return {
+    sources: schedule.sources,
+    role: schedule.role,
+    location: schedule.location,
+    experience: schedule.experience || '',
+    minExp: schedule.min_exp || '',
+    maxExp: schedule.max_exp || '',
+    pages: schedule.pages,
+    scheduleId: schedule.id
+  };
+}
+
+// Fires one due schedule. The advisory lock keeps other instances from
+// firing it concurrently, and a schedule whose previous run is still queued
+// or running skips this occurrence instead of overlapping it.
+async function runSchedule(id) {
+  const client = await pool.connect();
+  let enqueued = false;
+
+  try {
+    await client.query('BEGIN');
+
+    const lock = await client.query(
+      'SELECT pg_try_advisory_xact_lock($1, $2) AS locked',
+      [SCHEDULE_LOCK_NAMESPACE, id]
+    );
+    if (!lock.rows[0].locked) {
+      await client.query('ROLLBACK');
+      return;
+    }
+
+    // Re-check under the lock: another instance may have just fired it
+    const result = await client.query(
+      `SELECT s.*, r.status AS last_run_status
+       FROM crawl_schedules s
+       LEFT JOIN crawl_runs r ON r.id = s.last_run_id
+       WHERE s.id = $1 AND s.enabled AND s.next_run_at <= NOW()`,
+      [id]
+    );
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return;
+    }
+
+    const schedule = result.rows[0];
+    const nextRun = nextRunAt(schedule.cron, schedule.timezone);
+
+    if (['queued', 'running'].includes(schedule.last_run_status)) {
+      console.log(`Schedule ${id}: run ${schedule.last_run_id} is still ${schedule.last_run_status}, skipping`);
+      await client.query(
+        'UPDATE crawl_schedules SET next_run_at = $2, last_skipped_at = NOW() WHERE id = $1',
+        [id, nextRun]
+      );
+    } else {
+      const run = await enqueueCrawl(scheduleParams(schedule), client);
+      await client.query(
+        'UPDATE crawl_schedules SET next_run_at = $2, last_run_at = NOW(), last_run_id = $3 WHERE id = $1',
+        [id, nextRun, run.id]
+      );
+      console.log(`Schedule ${id}: queued crawl run ${run.id}`);
+      enqueued = true;
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  if (enqueued) wakeCrawlWorker();
+}
+
+async function runDueSchedules() {
+  if (ticking) return;
+  ticking = true;
+
+  try {
+    const due = await pool.query(
+      'SELECT id FROM crawl_schedules WHERE enabled AND next_run_at <= NOW() ORDER BY next_run_at'
+    );
+    for (const { id } of due.rows) {
+      await runSchedule(id).catch(error => console.error(`Schedule ${id} failed to fire:`, error));
+    }
+  } catch (error) {
+    console.error('Scheduler tick failed:', error);
+  } finally {
+    ticking = false;
+  }
+}
+
+function startScheduler() {
+  if (process.env.SCHEDULER_ENABLED === 'false') {
+    console.log('Scheduler disabled on this instance');
+    return;
+  }
+  timer = setInterval(runDueSchedules, TICK_MS);
+  runDueSchedules();
+}
+
+function stopScheduler() {
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  validateCron,
+  listSchedules,
+  getSchedule,
+  createSchedule,
+  updateSchedule,
+  deleteSchedule,
+  startScheduler,
+  stopScheduler
+};
@@ -1,1024 +1,1195 @@
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
-const axios = require('axios');
-const cheerio = require('cheerio');
-const puppeteer = require('puppeteer-extra');
-const StealthPlugin = require('puppeteer-extra-plugin-stealth');
-const nodemailer = require('nodemailer');
-const userAgents = require('user-agents');
-const { URLSearchParams } = require('url');
 const { pool, initializeDatabase } = require('./db');
-const fs = require('fs');
-const path = require('path');
-// Add stealth plugin to avoid detection
-puppeteer.use(StealthPlugin());
-const chromium = require('@sparticuz/chromium');
+const { loadMigrations, schemaVersion } = require('./migrator');
+const { getChannel, listChannels, notify, listDeliveries } = require('./notifiers');
+const { setCrawlHandler, enqueueCrawl, getCrawlRun, cancelCrawlRun, resumeCrawlRun, startCrawlWorker, stopCrawlWorker } = require('./crawlRuns');
+const { FREQUENCIES, verifyUnsubscribeToken, listSubscriptions, getSubscription, createSubscription, updateSubscription, deleteSubscription, unsubscribe, dispatchAlerts, startAlertDispatcher, stopAlertDispatcher } = require('./subscriptions');
+const { validateCron, listSchedules, getSchedule, createSchedule, updateSchedule, deleteSchedule, startScheduler, stopScheduler } = require('./schedules');
+const { getSource, listSources, crawlSource } = require('./sources');
+const { closeBrowserPool } = require('./sources/browserPool');
+const { DEBUG_MODES, listArtifacts, artifactPath } = require('./sources/artifacts');
+const { classifyError } = require('./sources/retry');
+const { reloadSelectors, selectorReport } = require('./sources/selectors');
+const { parseExperience, parseSalary, ANNUAL_SALARY_FACTOR } = require('./sources/ranges');
+const { WORK_MODES, findCity, locationColumns, citiesNear } = require('./sources/location');
+const { assignCanonicalJob } = require('./dedup');
+const { findExistingJobs, applyRevision, getJobHistory } = require('./revisions');
+const { assignCompany, listCompanies, getCompany, addCompanyAlias } = require('./companies');
+const { EXPORT_FORMATS, exportJobs } = require('./jobExport');
+const { IMPORT_FORMATS, detectFormat, parseRecords, validateMapping, toJob } = require('./jobImport');
+const { startLifecycleJobs, stopLifecycleJobs } = require('./lifecycle');
+const { measureExtraction, recordExtractionHealth, listExtractionMetrics, extractionHealthSummary } = require('./extractionHealth');
+const { enrichJob, wakeEnrichmentWorker, startEnrichmentWorker, stopEnrichmentWorker } = require('./enrichment');
 
 const app = express();
 app.use(cors({ origin: '*' }));
+// Imports take CSV, JSON or JSON Lines as raw text; registered first so the
+// JSON parser below leaves those bodies alone
+app.use('/api/jobs/import', express.text({ type: () => true, limit: process.env.IMPORT_MAX_BODY || '10mb' }));
 app.use(express.json());
 
-// Database functions
-async function readJobs(filters = {}) {
-  try {
-    let query = 'SELECT * FROM jobs';
-    const queryParams = [];
-    const whereClauses = [];
-    
-    if (filters.role) {
-      queryParams.push(`%${filters.role}%`);
-      whereClauses.push(`title ILIKE $${queryParams.length}`);
+const NUMERIC_JOB_FILTERS = ['minExp', 'maxExp', 'minSalary', 'maxSalary'];
+
+// Must match the expression indexes created in migrations/006_job_search.js
+const SEARCH_VECTOR = 'jobs_search_vector(title, company, skills)';
+const SKILLS_LOWER = 'jobs_skills_lower(skills)';
+
+const JOB_SORTS = ['relevance', 'posted', 'salary'];
+const JOB_STATUSES = ['active', 'expired', 'archived'];
+
+const DEFAULT_JOBS_LIMIT = 20;
+const MAX_JOBS_LIMIT = 100;
+
+// Radius for ?near=<city> when radiusKm isn't given
+const DEFAULT_RADIUS_KM = 50;
+
+// Comma-separated or repeated (?skills=a&skills=b) list params
+function parseList(value) {
+  const values = Array.isArray(value) ? value : String(value || '').split(',');
+  return values.map(item => String(item).trim().toLowerCase()).filter(Boolean);
+}
+
+// Builds the WHERE and ORDER BY clauses shared by every job listing. Returns
+// { where, orderBy, params, sort, sortKey } or { error } when a filter value
+// is invalid. Listings are ordered by sortKey then id, both descending, which
+// is what keyset pagination pages through.
+function buildJobFilters(filters = {}) {
+  const queryParams = [];
+  const whereClauses = [];
+  const numbers = {};
+
+  for (const key of NUMERIC_JOB_FILTERS) {
+    if (filters[key] === undefined || filters[key] === '') continue;
+    const value = Number(filters[key]);
+    if (!Number.isFinite(value) || value < 0) {
+      return { error: `${key} must be a non-negative number` };
     }
-    
-    if (filters.location) {
-      queryParams.push(`%${filters.location}%`);
-      whereClauses.push(`location ILIKE $${queryParams.length}`);
+    numbers[key] = value;
+  }
+
+  const sort = filters.sort || (filters.q ? 'relevance' : 'posted');
+  if (!JOB_SORTS.includes(sort)) {
+    return { error: `sort must be one of: ${JOB_SORTS.join(', ')}` };
+  }
+  if (sort === 'relevance' && !filters.q) {
+    return { error: 'sort=relevance requires a search query (q)' };
+  }
+
+  // Archived jobs are only listed when asked for by status
+  const status = filters.status || null;
+  if (status && status !== 'all' && !JOB_STATUSES.includes(status)) {
+    return { error: `status must be one of: ${JOB_STATUSES.join(', ')}, all` };
+  }
+  if (status === null) {
+    whereClauses.push("status <> 'archived'");
+  } else if (status !== 'all') {
+    queryParams.push(status);
+    whereClauses.push(`status = $${queryParams.length}`);
+  }
+
+  const skillsMatch = filters.skillsMatch || 'any';
+  if (!['any', 'all'].includes(skillsMatch)) {
+    return { error: 'skillsMatch must be "any" or "all"' };
+  }
+
+  let rank = null;
+  if (filters.q) {
+    queryParams.push(String(filters.q));
+    const query = `websearch_to_tsquery('english', $${queryParams.length})`;
+    whereClauses.push(`${SEARCH_VECTOR} @@ ${query}`);
+    rank = `ts_rank_cd(${SEARCH_VECTOR}, ${query})`;
+  }
+
+  const skills = parseList(filters.skills);
+  if (skills.length > 0) {
+    queryParams.push(skills);
+    whereClauses.push(`${SKILLS_LOWER} ${skillsMatch === 'all' ? '@>' : '&&'} $${queryParams.length}::text[]`);
+  }
+
+  if (filters.company) {
+    queryParams.push(`%${filters.company}%`);
+    whereClauses.push(`company ILIKE $${queryParams.length}`);
+  }
+
+  if (filters.companyId) {
+    const companyId = parseId(filters.companyId);
+    if (!companyId) return { error: 'companyId must be a positive integer' };
+    queryParams.push(companyId);
+    whereClauses.push(`company_id = $${queryParams.length}`);
+  }
+
+  if (filters.role) {
+    queryParams.push(`%${filters.role}%`);
+    whereClauses.push(`title ILIKE $${queryParams.length}`);
+  }
+
+  if (filters.location) {
+    queryParams.push(`%${filters.location}%`);
+    whereClauses.push(`location ILIKE $${queryParams.length}`);
+  }
+
+  // Cities are matched through the gazetteer, so "Bangalore" finds jobs
+  // listed as "Bengaluru" and multi-city postings match any of their cities.
+  // Names the gazetteer doesn't know fall back to matching the raw text.
+  const cityNames = parseList(filters.city);
+  if (cityNames.length > 0) {
+    const known = [];
+    const clauses = [];
+    for (const name of cityNames) {
+      const city = findCity(name);
+      if (city) {
+        known.push(city.name);
+      } else {
+        queryParams.push(`%${name}%`);
+        clauses.push(`location ILIKE $${queryParams.length}`);
+      }
     }
-    
-    if (filters.source) {
-      queryParams.push(`%${filters.source}%`);
-      whereClauses.push(`source ILIKE $${queryParams.length}`);
+    if (known.length > 0) {
+      queryParams.push(known);
+      clauses.push(`cities && $${queryParams.length}::text[]`);
     }
-    
-    if (whereClauses.length > 0) {
-      query += ' WHERE ' + whereClauses.join(' AND ');
+    whereClauses.push(`(${clauses.join(' OR ')})`);
+  }
+
+  const workModes = parseList(filters.workMode);
+  if (workModes.length > 0) {
+    const invalid = workModes.find(mode => !WORK_MODES.includes(mode));
+    if (invalid) return { error: `workMode must be one of: ${WORK_MODES.join(', ')}` };
+    queryParams.push(workModes);
+    whereClauses.push(`work_mode = ANY($${queryParams.length}::text[])`);
+  }
+
+  if (filters.near) {
+    const center = findCity(filters.near);
+    if (!center) return { error: `Unknown city "${filters.near}" for near` };
+    const radiusKm = filters.radiusKm === undefined || filters.radiusKm === '' ? DEFAULT_RADIUS_KM : Number(filters.radiusKm);
+    if (!Number.isFinite(radiusKm) || radiusKm < 0) {
+      return { error: 'radiusKm must be a non-negative number' };
     }
-    
-    query += ' ORDER BY posted_date DESC';
-    
-    const result = await pool.query(query, queryParams);
-    return result.rows;
+    queryParams.push(citiesNear(center, radiusKm));
+    whereClauses.push(`cities && $${queryParams.length}::text[]`);
+  }
+
+  if (filters.source) {
+    queryParams.push(`%${filters.source}%`);
+    whereClauses.push(`source ILIKE $${queryParams.length}`);
+  }
+
+  // Experience filters match any job whose range overlaps [minExp, maxExp]
+  if (numbers.minExp !== undefined) {
+    queryParams.push(numbers.minExp);
+    whereClauses.push(`(exp_max >= $${queryParams.length} OR (exp_max IS NULL AND exp_min IS NOT NULL))`);
+  }
+
+  if (numbers.maxExp !== undefined) {
+    queryParams.push(numbers.maxExp);
+    whereClauses.push(`exp_min <= $${queryParams.length}`);
+  }
+
+  if (numbers.minSalary !== undefined) {
+    queryParams.push(numbers.minSalary);
+    whereClauses.push(`salary_max * ${ANNUAL_SALARY_FACTOR} >= $${queryParams.length}`);
+  }
+
+  if (numbers.maxSalary !== undefined) {
+    queryParams.push(numbers.maxSalary);
+    // "Up to X" salaries have no lower bound, so they fit under any ceiling
+    whereClauses.push(`(salary_min * ${ANNUAL_SALARY_FACTOR} <= $${queryParams.length} OR (salary_min IS NULL AND salary_max IS NOT NULL))`);
+  }
+
+  if (filters.currency) {
+    queryParams.push(String(filters.currency).toUpperCase());
+    whereClauses.push(`salary_currency = $${queryParams.length}`);
+  }
+
+  // Cross-source duplicates are listed under their canonical job unless asked for
+  if (String(filters.includeDuplicates) !== 'true') {
+    whereClauses.push('canonical_job_id IS NULL');
+  }
+
+  // Sort keys are never NULL so they compare cleanly in a keyset condition;
+  // jobs without a date or salary sort last
+  const sortKey = {
+    relevance: { expression: `${rank}::float8`, type: 'float8' },
+    posted: { expression: "COALESCE(posted_at, '-infinity'::timestamptz)", type: 'timestamptz' },
+    salary: { expression: `COALESCE(salary_max * ${ANNUAL_SALARY_FACTOR}, -1)`, type: 'numeric' }
+  }[sort];
+
+  return {
+    where: whereClauses.length > 0 ? ' WHERE ' + whereClauses.join(' AND ') : '',
+    orderBy: ` ORDER BY ${sortKey.expression} DESC, id DESC`,
+    params: queryParams,
+    sort,
+    sortKey
+  };
+}
+
+// Cursors are opaque to clients: base64url JSON of the sort they belong to
+// and the last row's sort key (as Postgres text) and id
+function encodeCursor(sort, key, id) {
+  return Buffer.from(JSON.stringify({ sort, key, id })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const value = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (typeof value.sort !== 'string' || typeof value.key !== 'string' || !Number.isInteger(value.id)) return null;
+    return value;
   } catch (error) {
-    console.error('Error reading jobs:', error);
-    return [];
+    return null;
   }
 }
+
+// A cursor's key is cast to the sort column's type in SQL, so it must look
+// like what Postgres printed for that type
+const TIMESTAMP_TEXT = /^(\d{4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2}):(\d{2})(\.\d+)?([+-]\d{2}(:?\d{2}){0,2}|Z)?$/;
+
+function isValidSortKey(key, type) {
+  if (type !== 'timestamptz') return key.trim() !== '' && Number.isFinite(Number(key));
+  if (key === '-infinity') return true;
+
+  const match = key.match(TIMESTAMP_TEXT);
+  if (!match) return false;
+  const [year, month, day, hour, minute, second] = match.slice(1, 7).map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCMonth() === month - 1 && date.getUTCDate() === day && hour < 24 && minute < 60 && second < 60;
+}
+
+// Missing or empty means the default; anything else must be an integer and
+// is clamped to 1..MAX_JOBS_LIMIT
+function parseLimit(value) {
+  if (value === undefined || value === '') return DEFAULT_JOBS_LIMIT;
+  const limit = Number(value);
+  if (!Number.isInteger(limit)) return null;
+  return Math.min(Math.max(limit, 1), MAX_JOBS_LIMIT);
+}
+
+// Planner row estimate for a filtered listing; cheap where COUNT(*) isn't
+async function estimateJobCount(where, queryParams) {
+  const result = await pool.query(`EXPLAIN (FORMAT JSON) SELECT 1 FROM jobs${where}`, queryParams);
+  return result.rows[0]['QUERY PLAN'][0].Plan['Plan Rows'];
+}
+
+// Database functions
+// Inserts jobs; a link already saved is marked seen again (and reactivated
+// if it had expired) instead of inserted, and any edits to its title, salary,
+// location etc. are applied and recorded in job_revisions. outcomes has one
+// entry per job, in order: { status: 'inserted', id, canonicalJobId } or
+// { status: 'duplicate', id, changes }.
+// Nothing is saved if any insert fails, and the result then carries `error`.
 async function saveJobs(jobs) {
-  if (!jobs || jobs.length === 0) return { newJobs: 0, duplicates: 0 };
+  if (!jobs || jobs.length === 0) return { newJobs: 0, duplicates: 0, outcomes: [] };
 
   const client = await pool.connect();
   try {
     await client.query('BEGIN');
 
+    const existing = await findExistingJobs(client, jobs.map(job => job.link));
+
     const results = await Promise.allSettled(
-      jobs.map(job => client.query(
-        `INSERT INTO jobs 
-        (title, company, experience, location, skills, salary, link, source, posted_date)
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
-        ON CONFLICT (link) DO NOTHING`,
-        [
-          job.title,
-          job.company,
-          job.experience || 'N/A',
-          job.location || 'N/A',
-          job.skills || [],
-          job.salary || 'Not specified',
-          job.link,
-          job.source || 'Unknown',
-          job.postedDate || new Date()
-        ]
-      ))
+      jobs.map(job => {
+        const experience = parseExperience(job.experience);
+        const salary = parseSalary(job.salary);
+        const place = locationColumns(job.location);
+
+        return client.query(
+          `INSERT INTO jobs 
+          (title, company, experience, location, skills, salary, link, source, posted_date, posted_at, posted_date_original,
+           exp_min, exp_max, salary_min, salary_max, salary_currency, salary_period,
+           city, state, country, cities, work_mode)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22)
+          ON CONFLICT (link) DO UPDATE SET
+            last_seen_at = NOW(),
+            seen_count = jobs.seen_count + 1,
+            status = 'active',
+            expired_at = NULL,
+            archived_at = NULL
+          RETURNING id, (xmax = 0) AS inserted`,
+          [
+            job.title,
+            job.company,
+            job.experience || 'N/A',
+            job.location || 'N/A',
+            job.skills || [],
+            job.salary || 'Not specified',
+            job.link,
+            job.source || 'Unknown',
+            job.postedAt ? job.postedAt.toISOString() : (job.postedDateOriginal || 'N/A'),
+            job.postedAt || null,
+            job.postedDateOriginal || 'N/A',
+            experience.min,
+            experience.max,
+            salary.min,
+            salary.max,
+            salary.currency,
+            salary.period,
+            place.city,
+            place.state,
+            place.country,
+            place.cities,
+            place.work_mode
+          ]
+        );
+      })
     );
 
-    const newJobs = results.filter(r => r.status === 'fulfilled' && r.value.rowCount === 1).length;
+    // One failed insert aborts the transaction, so the others didn't stick either
+    const failed = results.find(r => r.status === 'rejected');
+    if (failed) throw failed.reason;
+
+    const newJobs = results.filter(r => r.value.rows[0].inserted).length;
     const duplicates = jobs.length - newJobs;
 
+    // Link new rows that repeat a posting already saved from another board
+    let crossSourceDuplicates = 0;
+    let updatedJobs = 0;
+    const outcomes = [];
+    for (const [index, result] of results.entries()) {
+      if (!result.value.rows[0].inserted) {
+        // Only the first copy of a link in the batch is compared
+        const row = existing.get(jobs[index].link);
+        existing.delete(jobs[index].link);
+        const changes = row ? await applyRevision(client, row, jobs[index]) : null;
+        if (changes) updatedJobs++;
+        if (changes && changes.company) await assignCompany(client, row.id, jobs[index].company);
+        outcomes.push({ status: 'duplicate', id: result.value.rows[0].id, changes });
+        continue;
+      }
+
+      const id = result.value.rows[0].id;
+      await assignCompany(client, id, jobs[index].company);
+      const canonicalJobId = await assignCanonicalJob(client, id, jobs[index]);
+      if (canonicalJobId) crossSourceDuplicates++;
+      outcomes.push({ status: 'inserted', id, canonicalJobId });
+    }
+
     await client.query('COMMIT');
     
-    console.log(`Saved ${newJobs} new jobs, found ${duplicates} duplicates`);
-    return { newJobs, duplicates };
+    console.log(`Saved ${newJobs} new jobs (${crossSourceDuplicates} cross-source duplicates), found ${duplicates} duplicates (${updatedJobs} changed)`);
+    return { newJobs, duplicates, crossSourceDuplicates, updatedJobs, outcomes };
   } catch (error) {
     await client.query('ROLLBACK');
     console.error('Error saving jobs:', error);
-    return { newJobs: 0, duplicates: 0 };
+    return { newJobs: 0, duplicates: 0, outcomes: [], error: error.message };
   } finally {
     client.release();
   }
 }
 
+// Crawl runs
+const SOURCE_CONCURRENCY = parseInt(process.env.CRAWL_SOURCE_CONCURRENCY, 10) || 2;
+
+// Runs fn over items with at most `limit` calls in flight
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  });
+
+  await Promise.all(workers);
+  return results;
+}
+
+// Jobs are saved page by page as the crawl goes, so a source that fails
+// partway keeps what it found and a resumed run can pick up after its last
+// saved page. Sources that already finished in an earlier attempt are kept.
+async function crawlAndSave(source, params, run) {
+  const startTime = Date.now();
+  const duration = () => `${((Date.now() - startTime) / 1000).toFixed(2)} seconds`;
+
+  const previous = run.previousResults?.[source];
+  if (previous && !previous.error) return { source, ...previous };
+
+  // Progress covers every page saved so far, including those of an attempt
+  // that was requeued or cancelled before it recorded any results
+  const startPage = (run.resumeFrom?.[source] || 0) + 1;
+  const saved = run.previousProgress?.[source];
+  const totals = {
+    totalJobs: saved?.jobs ?? previous?.totalJobs ?? 0,
+    newJobs: saved?.newJobs ?? previous?.newJobs ?? 0,
+    duplicates: saved?.duplicates ?? previous?.duplicates ?? 0,
+    updatedJobs: saved?.updatedJobs ?? previous?.updatedJobs ?? 0
+  };
+  const jobs = [];
+  let lastPage = startPage - 1;
+
+  try {
+    const { stopReason } = await crawlSource(source, params, {
+      runId: run.runId,
+      debug: params.debug,
+      signal: run.signal,
+      startPage,
+      onPage: async (page, pageJobs) => {
+        run.signal?.throwIfAborted();
+        const result = await saveJobs(pageJobs);
+        if (result.error) throw new Error(`Saving page ${page} failed: ${result.error}`);
+
+        const counts = {
+          jobs: pageJobs.length,
+          newJobs: result.newJobs,
+          duplicates: result.duplicates,
+          updatedJobs: result.updatedJobs || 0
+        };
+        totals.totalJobs += counts.jobs;
+        totals.newJobs += counts.newJobs;
+        totals.duplicates += counts.duplicates;
+        totals.updatedJobs += counts.updatedJobs;
+        jobs.push(...pageJobs);
+        lastPage = page;
+        await run.onPage?.(source, page, counts);
+      }
+    });
+
+    // A resumed source only saw its later pages, which would read as a sharp drop
+    const health = startPage === 1
+      ? await checkExtractionHealth(source, params, run, measureExtraction(jobs, lastPage))
+      : null;
+    return { source, ...totals, lastPage, stopReason, duration: duration(), error: null, health };
+  } catch (error) {
+    // Cancellation stops the whole run; anything else only fails this source
+    if (run.signal?.aborted) throw error;
+    return {
+      source,
+      ...totals,
+      lastPage,
+      duration: duration(),
+      error: error.message,
+      errorKind: classifyError(error),
+      failedPage: error.page || null
+    };
+  }
+}
+
+// A crawl that "succeeds" with no jobs or all-N/A fields is still reported,
+// with its anomalies, rather than passing silently. Health tracking failing
+// must not fail the crawl itself.
+async function checkExtractionHealth(source, params, run, metrics) {
+  try {
+    return await recordExtractionHealth({ runId: run.runId, source, params, metrics });
+  } catch (error) {
+    console.error(`Failed to record extraction health for ${source}:`, error);
+    return { ...metrics, anomalies: [], alerted: false };
+  }
+}
+
+async function runCrawl(params, run) {
+  // Runs queued before multi-source support carry a single source
+  const sources = params.sources || [params.source];
+  const outcomes = await mapWithConcurrency(sources, SOURCE_CONCURRENCY, source => crawlAndSave(source, params, run));
+
+  const results = {};
+  const errors = [];
+  for (const { source, ...outcome } of outcomes) {
+    results[source] = outcome;
+    if (outcome.error) {
+      errors.push({ source, message: outcome.error, kind: outcome.errorKind, page: outcome.failedPage, at: new Date().toISOString() });
+    }
+  }
+
+  const newJobs = outcomes.reduce((sum, o) => sum + o.newJobs, 0);
+  if (newJobs > 0) {
+    dispatchAlerts({ frequency: 'instant' });
+    wakeEnrichmentWorker();
+  }
+
+  return {
+    totalJobs: outcomes.reduce((sum, o) => sum + o.totalJobs, 0),
+    newJobs,
+    duplicates: outcomes.reduce((sum, o) => sum + o.duplicates, 0),
+    results,
+    errors
+  };
+}
+
+// Accepts a single source name, "all", or an array of names. Returns the
+// registry names to crawl, or { invalid } listing names that aren't registered.
+function resolveSources(source) {
+  if (source === 'all') {
+    return { sources: listSources().map(s => s.name) };
+  }
+
+  const requested = Array.isArray(source) ? source : [source];
+  const sources = [];
+  const invalid = [];
+
+  for (const name of requested) {
+    const adapter = typeof name === 'string' ? getSource(name) : null;
+    if (!adapter) {
+      invalid.push(name);
+    } else if (!sources.includes(adapter.name)) {
+      sources.push(adapter.name);
+    }
+  }
+
+  return invalid.length > 0 || sources.length === 0 ? { invalid } : { sources };
+}
+
+setCrawlHandler(runCrawl);
+
+function invalidSourceMessage(invalid) {
+  return `Invalid source${invalid.length > 0 ? ` ${invalid.map(s => `"${s}"`).join(', ')}` : ''}. Supported sources are ${listSources().map(s => `"${s.name}"`).join(', ')}, or "all".`;
+}
+
+function parseId(value) {
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+// API Routes
+app.post('/api/crawl', async (req, res) => {
+  try {
+    const { role, location, source = 'naukri', experience, minExp, maxExp, pages, debug } = req.body;
+
+    if (!role || !location) {
+      return res.status(400).json({
+        success: false,
+        error: 'Role and location are required'
+      });
+    }
+
+    if (debug !== undefined && !DEBUG_MODES.includes(debug)) {
+      return res.status(400).json({
+        success: false,
+        error: `debug must be one of: ${DEBUG_MODES.join(', ')}`
+      });
+    }
+
+    const { sources, invalid } = resolveSources(source);
+    if (!sources) {
+      return res.status(400).json({
+        success: false,
+        error: invalidSourceMessage(invalid)
+      });
+    }
+
+    const run = await enqueueCrawl({
+      sources,
+      role,
+      location,
+      experience: experience || '',
+      minExp: minExp || '',
+      maxExp: maxExp || '',
+      pages: pages || null,
+      debug: debug || null
+    });
+
+    res.status(202).json({
+      success: true,
+      runId: run.id,
+      sources,
+      status: run.status,
+      statusUrl: `/api/crawl/${run.id}`
+    });
+  } catch (error) {
+    console.error('Crawl enqueue error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+});
+
+app.get('/api/sources', (req, res) => {
+  res.json({ success: true, sources: listSources() });
+});
+
+// Latest extraction quality per source against its baseline
+app.get('/api/sources/health', async (req, res) => {
+  try {
+    const sources = await extractionHealthSummary(listSources().map(s => s.name));
+    res.json({ success: true, healthy: sources.every(s => s.healthy), sources });
+  } catch (error) {
+    console.error('Error fetching extraction health:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/sources/:name/health', async (req, res) => {
+  try {
+    const adapter = getSource(req.params.name);
+    if (!adapter) {
+      return res.status(404).json({ success: false, error: 'Source not found' });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 200);
+    const runs = await listExtractionMetrics(adapter.name, { limit });
+    res.json({ success: true, source: adapter.name, runs });
+  } catch (error) {
+    console.error('Error fetching source health:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Which selector in each fallback chain has been matching since startup;
+// `stale` marks fields whose primary selector has stopped matching
+app.get('/api/admin/selectors', (req, res) => {
+  res.json({ success: true, ...selectorReport() });
+});
+
+app.post('/api/admin/selectors/reload', (req, res) => {
+  try {
+    res.json({ success: true, ...reloadSelectors() });
+  } catch (error) {
+    console.error('Error reloading selectors:', error);
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/crawl/:id', async (req, res) => {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) {
+      return res.status(400).json({ success: false, error: 'Invalid run ID' });
+    }
+
+    const run = await getCrawlRun(id);
+    if (!run) {
+      return res.status(404).json({ success: false, error: 'Crawl run not found' });
+    }
+
+    res.json({ success: true, run });
+  } catch (error) {
+    console.error('Crawl status error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Debug captures (screenshots, HTML, console/network logs) saved for a run
+app.get('/api/crawl/:id/artifacts', async (req, res) => {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) {
+      return res.status(400).json({ success: false, error: 'Invalid run ID' });
+    }
+
+    const run = await getCrawlRun(id);
+    if (!run) {
+      return res.status(404).json({ success: false, error: 'Crawl run not found' });
+    }
+
+    res.json({ success: true, runId: id, artifacts: await listArtifacts(id) });
+  } catch (error) {
+    console.error('Crawl artifacts error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/crawl/:id/artifacts/:source/:file', async (req, res) => {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) {
+      return res.status(400).json({ success: false, error: 'Invalid run ID' });
+    }
+
+    const file = await artifactPath(id, req.params.source, req.params.file);
+    if (!file) {
+      return res.status(404).json({ success: false, error: 'Artifact not found' });
+    }
+
+    res.sendFile(file);
+  } catch (error) {
+    console.error('Crawl artifact error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/crawl/:id', async (req, res) => {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) {
+      return res.status(400).json({ success: false, error: 'Invalid run ID' });
+    }
+
+    const { run, cancelled } = await cancelCrawlRun(id);
+    if (!run) {
+      return res.status(404).json({ success: false, error: 'Crawl run not found' });
+    }
+
+    if (!cancelled) {
+      return res.status(409).json({
+        success: false,
+        error: `Crawl run already ${run.status}`,
+        run
+      });
+    }
+
+    res.json({ success: true, run });
+  } catch (error) {
+    console.error('Crawl cancel error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Re-queues a run that stopped partway; sources continue after the last page
+// they saved and sources that already finished are not crawled again
+app.post('/api/crawl/:id/resume', async (req, res) => {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) {
+      return res.status(400).json({ success: false, error: 'Invalid run ID' });
+    }
+
+    const { run, resumed } = await resumeCrawlRun(id);
+    if (!run) {
+      return res.status(404).json({ success: false, error: 'Crawl run not found' });
+    }
+
+    if (!resumed) {
+      return res.status(409).json({
+        success: false,
+        error: `Crawl run is ${run.status} and has nothing to resume`,
+        run
+      });
+    }
+
+    res.status(202).json({ success: true, run, statusUrl: `/api/crawl/${run.id}` });
+  } catch (error) {
+    console.error('Crawl resume error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Validates a schedule request body. With partial, omitted fields are left
+// out so PATCH only touches what was sent.
+function parseScheduleBody(body, { partial = false } = {}) {
+  const fields = {};
+  const has = key => body[key] !== undefined;
+
+  for (const key of ['role', 'location', 'cron']) {
+    if (has(key)) {
+      if (typeof body[key] !== 'string' || !body[key].trim()) {
+        return { error: `${key} must be a non-empty string` };
+      }
+      fields[key] = body[key].trim();
+    } else if (!partial) {
+      return { error: 'Role, location and cron are required' };
+    }
+  }
+
+  if (!partial || has('sources') || has('source')) {
+    const { sources, invalid } = resolveSources(body.sources ?? body.source ?? 'naukri');
+    if (!sources) return { error: invalidSourceMessage(invalid) };
+    fields.sources = sources;
+  }
+
+  for (const key of ['name', 'experience', 'minExp', 'maxExp']) {
+    if (has(key)) fields[key] = body[key] === null ? null : String(body[key]);
+  }
+
+  if (has('timezone')) {
+    if (typeof body.timezone !== 'string' || !body.timezone.trim()) {
+      return { error: 'timezone must be a non-empty string' };
+    }
+    fields.timezone = body.timezone.trim();
+  }
+
+  if (has('pages')) {
+    const pages = body.pages === null ? null : Number(body.pages);
+    if (pages !== null && (!Number.isInteger(pages) || pages < 1)) {
+      return { error: 'pages must be a positive integer' };
+    }
+    fields.pages = pages;
+  }
+
+  if (has('enabled')) {
+    if (typeof body.enabled !== 'boolean') return { error: 'enabled must be a boolean' };
+    fields.enabled = body.enabled;
+  }
+
+  return { fields };
+}
+
+app.get('/api/schedules', async (req, res) => {
+  try {
+    const schedules = await listSchedules();
+    res.json({ success: true, count: schedules.length, schedules });
+  } catch (error) {
+    console.error('Schedules fetch error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/schedules', async (req, res) => {
+  try {
+    const { fields, error } = parseScheduleBody(req.body || {});
+    const cronError = error ? null : validateCron(fields.cron, fields.timezone || undefined);
+    if (error || cronError) {
+      return res.status(400).json({ success: false, error: error || cronError });
+    }
+
+    const schedule = await createSchedule(fields);
+    res.status(201).json({ success: true, schedule });
+  } catch (error) {
+    console.error('Schedule create error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/schedules/:id', async (req, res) => {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) {
+      return res.status(400).json({ success: false, error: 'Invalid schedule ID' });
+    }
+
+    const schedule = await getSchedule(id);
+    if (!schedule) {
+      return res.status(404).json({ success: false, error: 'Schedule not found' });
+    }
+
+    res.json({ success: true, schedule });
+  } catch (error) {
+    console.error('Schedule fetch error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.patch('/api/schedules/:id', async (req, res) => {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) {
+      return res.status(400).json({ success: false, error: 'Invalid schedule ID' });
+    }
+
+    const existing = await getSchedule(id);
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'Schedule not found' });
+    }
+
+    const { fields, error } = parseScheduleBody(req.body || {}, { partial: true });
+    const cronError = error ? null : validateCron(fields.cron || existing.cron, fields.timezone || existing.timezone);
+    if (error || cronError) {
+      return res.status(400).json({ success: false, error: error || cronError });
+    }
+
+    const schedule = await updateSchedule(id, fields);
+    res.json({ success: true, schedule });
+  } catch (error) {
+    console.error('Schedule update error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/schedules/:id', async (req, res) => {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) {
+      return res.status(400).json({ success: false, error: 'Invalid schedule ID' });
+    }
+
+    const deleted = await deleteSchedule(id);
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'Schedule not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Schedule delete error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Keyset-paginated listing. Pass the nextCursor of one response as ?cursor=
+// to get the next page; ?withTotal=true adds an approximate total.
+app.get('/api/jobs', async (req, res) => {
+  try {
+    const limit = parseLimit(req.query.limit);
+    if (limit === null) {
+      return res.status(400).json({ success: false, error: 'limit must be an integer' });
+    }
+    
+    // Build the query dynamically based on filters
+    const { where, orderBy, params: queryParams, sort, sortKey, error } = buildJobFilters(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    let pageWhere = where;
+    const pageParams = [...queryParams];
+    if (req.query.cursor) {
+      const cursor = decodeCursor(req.query.cursor);
+      if (!cursor || cursor.sort !== sort || !isValidSortKey(cursor.key, sortKey.type)) {
+        return res.status(400).json({ success: false, error: 'Invalid cursor for this sort order' });
+      }
+      pageParams.push(cursor.key, cursor.id);
+      const condition = `(${sortKey.expression}, id) < ($${pageParams.length - 1}::${sortKey.type}, $${pageParams.length})`;
+      pageWhere += where ? ` AND ${condition}` : ` WHERE ${condition}`;
+    }
 
+    // One extra row tells us whether there is a next page
+    pageParams.push(limit + 1);
+    const query = `SELECT *, (${sortKey.expression})::text AS sort_key FROM jobs${pageWhere}${orderBy} LIMIT $${pageParams.length}`;
+    const jobsResult = await pool.query(query, pageParams);
 
+    const rows = jobsResult.rows.slice(0, limit);
+    const last = rows[rows.length - 1];
+    const nextCursor = jobsResult.rows.length > limit ? encodeCursor(sort, last.sort_key, last.id) : null;
+    const jobs = rows.map(({ sort_key, ...job }) => job);
 
-async function crawlLinkedIn(role, location, experience = '', maxPages = 5) {
-    let browser;
-    try {
-        console.log(`Scraping LinkedIn for ${role} in ${location}...`);
-        browser = await puppeteer.launch({
-executablePath: chromium.path,
-    headless: chromium.headless,            args: [
-    '--no-sandbox',
-    '--disable-setuid-sandbox',
-    '--disable-dev-shm-usage',
-    '--disable-accelerated-2d-canvas',
-    '--no-first-run',
-    '--no-zygote',
-    '--disable-gpu',
-    '--single-process', // Runs in single process mode
-    '--disable-extensions',
-    '--disable-software-rasterizer',
-    '--disable-setuid-sandbox',
-    '--disable-background-timer-throttling',
-    '--disable-backgrounding-occluded-windows',
-    '--disable-renderer-backgrounding'
-  ],
-  ignoreHTTPSErrors: true,
-  defaultViewport: null
-        });
-
-        const page = await browser.newPage();
-        await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36');
-        await page.setExtraHTTPHeaders({
-            'Accept-Language': 'en-US,en;q=0.9',
-        });
-
-        // Build search URL
-        const searchParams = new URLSearchParams();
-        searchParams.set('keywords', role);
-        searchParams.set('location', location);
-        if (experience) {
-            searchParams.set('f_E', experience); // Experience filter
-        }
-        searchParams.set('f_TPR', 'r86400'); // Past 24 hours
-        searchParams.set('f_WT', '2'); // On-site/remote filter
-        
-        const baseUrl = `https://www.linkedin.com/jobs/search?${searchParams.toString()}`;
-        
-        console.log(`Navigating to: ${baseUrl}`);
-        await page.goto(baseUrl, {
-            waitUntil: 'domcontentloaded',
-            timeout: 60000
-        });
-
-        // Wait for jobs to load
-        await page.waitForSelector('.jobs-search__results-list', { timeout: 30000 });
-
-        let allJobs = [];
-        let currentPage = 1;
-
-        while (currentPage <= maxPages) {
-            console.log(`Processing page ${currentPage}/${maxPages}...`);
-            
-            // Scroll to load all jobs on current page
-            await autoScroll(page);
-            
-            // Extract jobs from current page
-            const pageJobs = await extractLinkedInJobs(page);
-            allJobs = [...allJobs, ...pageJobs];
-            console.log(`Found ${pageJobs.length} jobs on page ${currentPage}`);
-
-            // Break if we've reached our page limit
-            if (currentPage >= maxPages) break;
-
-            // Try to go to next page
-            try {
-                const nextButton = await page.$('button[aria-label="Next"]:not(:disabled)');
-                if (nextButton) {
-                    console.log('Navigating to next page...');
-                    await nextButton.click();
-                    await page.waitForTimeout(3000); // Wait for page transition
-                    
-                    // Wait for either new jobs to load or error message
-                    await Promise.race([
-                        page.waitForSelector('.jobs-search__results-list li', { timeout: 10000 }),
-                        page.waitForSelector('.artdeco-toast-item', { timeout: 10000 })
-                    ]);
-                    
-                    // Check if we hit a rate limit or error
-                    const toast = await page.$('.artdeco-toast-item');
-                    if (toast) {
-                        console.log('Hit a LinkedIn rate limit or error');
-                        break;
-                    }
-                    
-                    currentPage++;
-                } else {
-                    console.log('No more pages available');
-                    break;
-                }
-            } catch (e) {
-                console.log('Failed to navigate to next page:', e);
-                break;
-            }
-        }
+    const response = {
+      success: true,
+      count: jobs.length,
+      limit,
+      sort,
+      nextCursor,
+      jobs
+    };
 
-        console.log(`Total jobs found from LinkedIn: ${allJobs.length}`);
-        return allJobs;
-    } catch (error) {
-        console.error('LinkedIn scraping failed:', error);
-        throw error;
-    } finally {
-        if (browser) {
-            await browser.close();
-        }
+    if (String(req.query.withTotal) === 'true') {
+      response.total = await estimateJobCount(where, queryParams);
+      response.totalIsApproximate = true;
     }
-}
-
-// Separate function for LinkedIn job extraction
-async function extractLinkedInJobs(page) {
-    return await page.evaluate(() => {
-        const jobElements = Array.from(document.querySelectorAll('.jobs-search__results-list li'));
-        return jobElements.map(job => {
-            try {
-                // Title and link
-                const titleElem = job.querySelector('.base-search-card__title');
-                const title = titleElem?.textContent?.trim() || 'N/A';
-                const link = job.querySelector('a.base-card__full-link')?.href || '#';
-
-                // Company
-                const companyElem = job.querySelector('.base-search-card__subtitle a');
-                const company = companyElem?.textContent?.trim() || 'N/A';
-
-                // Location
-                const locationElem = job.querySelector('.job-search-card__location');
-                const location = locationElem?.textContent?.trim() || 'N/A';
-
-                // Posted date with enhanced parsing
-                let postedDate = 'N/A';
-                const dateElement = job.querySelector('time');
-                if (dateElement) {
-                    postedDate = dateElement.textContent.trim().toLowerCase();
-                    
-                    const now = new Date();
-                    const num = parseInt(postedDate) || 1;
-                    
-                    if (postedDate.includes('hour')) {
-                        now.setHours(now.getHours() - num);
-                        postedDate = now.toISOString();
-                    } 
-                    else if (postedDate.includes('day')) {
-                        now.setDate(now.getDate() - num);
-                        postedDate = now.toISOString().split('T')[0];
-                    }
-                    else if (postedDate.includes('week')) {
-                        now.setDate(now.getDate() - (num * 7));
-                        postedDate = now.toISOString().split('T')[0];
-                    }
-                    else if (postedDate.includes('month')) {
-                        now.setMonth(now.getMonth() - num);
-                        postedDate = now.toISOString().split('T')[0];
-                    }
-                    else if (postedDate.includes('minute')) {
-                        now.setMinutes(now.getMinutes() - num);
-                        postedDate = now.toISOString();
-                    }
-                    else {
-                        // Keep original text if format not recognized
-                        postedDate = dateElement.textContent.trim();
-                    }
-                }
-
-                return {
-                    title,
-                    company,
-                    experience: 'N/A', // LinkedIn doesn't show this in list view
-                    location,
-                    skills: [], // Would need detail page visit
-                    salary: 'Not specified', // Would need detail page visit
-                    link,
-                    source: 'LinkedIn',
-                    postedDate,
-                    scrapedDate: new Date().toISOString()
-                };
-            } catch (err) {
-                console.error('Error extracting job:', err);
-                return null;
-            }
-        }).filter(Boolean);
-    });
-}
-// Utility functions
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
 
-async function autoScroll(page) {
-  await page.evaluate(async () => {
-    await new Promise((resolve) => {
-      let totalHeight = 0;
-      const distance = 100;
-      const timer = setInterval(() => {
-        const scrollHeight = document.body.scrollHeight;
-        window.scrollBy(0, distance);
-        totalHeight += distance;
-
-        if (totalHeight >= scrollHeight - window.innerHeight) {
-          clearInterval(timer);
-          resolve();
-        }
-      }, 100);
-    });
-  });
-}
+    res.json(response);
+  } catch (error) {
+    console.error('Jobs fetch error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-// Utility functions
+// Streams every job matching the /api/jobs filters as a download
+app.get('/api/jobs/export', async (req, res) => {
+  try {
+    const format = String(req.query.format || 'csv').toLowerCase();
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({
+        success: false,
+        error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`
+      });
+    }
 
-async function crawlNaukri(role, location, experience = '') {
-    let browser;
-    try {
-        console.log(`Scraping Naukri for ${role} in ${location}...`);
-        browser = await puppeteer.launch({
-            headless: "new", // Set to true in production
-              // executablePath: 'C:\\Users\\Abcom\\.cache\\puppeteer\\chrome\\win64-138.0.7204.92\\chrome-win64\\chrome.exe',
-
-            args: [
-    '--no-sandbox',
-    '--disable-setuid-sandbox',
-    '--disable-dev-shm-usage',
-    '--disable-accelerated-2d-canvas',
-    '--no-first-run',
-    '--no-zygote',
-    '--disable-gpu',
-    '--single-process', // Runs in single process mode
-    '--disable-extensions',
-    '--disable-software-rasterizer',
-    '--disable-setuid-sandbox',
-    '--disable-background-timer-throttling',
-    '--disable-backgrounding-occluded-windows',
-    '--disable-renderer-backgrounding'
-  ],  ignoreHTTPSErrors: true,
-  defaultViewport: null
-        });
-
-        const page = await browser.newPage();
-        await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36');
-        await page.setExtraHTTPHeaders({
-            'Accept-Language': 'en-US,en;q=0.9',
-        });
-
-        // Build the initial URL
-        const baseUrl = `https://www.naukri.com/${role.toLowerCase().replace(/\s+/g, '-')}-jobs-in-${location.toLowerCase().replace(/\s+/g, '-')}`;
-        let url = baseUrl;
-
-        // Add experience filter if specified
-        if (experience) {
-            url += `?experience=${experience}`;
-        }
+    const { where, orderBy, params: queryParams, error } = buildJobFilters(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
 
-        console.log(`Navigating to: ${url}`);
-        await page.goto(url, {
-            waitUntil: 'networkidle2',
-            timeout: 60000
-        });
-
-        // Handle popups
-        try {
-            await page.click('span[class*="crossIcon"]', { timeout: 5000 });
-            console.log('Closed popup');
-        } catch (e) {
-            console.log('No popup found');
-        }
+    await exportJobs(res, format, `SELECT * FROM jobs${where}${orderBy}`, queryParams);
+  } catch (error) {
+    console.error('Jobs export error:', error);
+    if (res.headersSent) {
+      res.destroy(error);
+    } else {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+});
 
-        // Function to extract jobs from current page
-        const extractJobs = async () => {
-    return await page.evaluate(() => {
-        const jobElements = Array.from(document.querySelectorAll('.srp-jobtuple-wrapper'));
-        return jobElements.map(job => {
-            const title = job.querySelector('.title')?.textContent?.trim() || 'N/A';
-            const company = job.querySelector('.comp-name')?.textContent?.trim() || 'N/A';
-            const experience = job.querySelector('.expwdth')?.textContent?.trim() || 'N/A';
-            const location = job.querySelector('.locWdth')?.textContent?.trim() || 'N/A';
-            const skills = Array.from(job.querySelectorAll('.tags-gt li')).map(li => li.textContent.trim());
-            const link = job.querySelector('a.title')?.href || '#';
-            
-            // Extract job post date - this is the new addition
-            const dateElement = job.querySelector('.job-post-day');
-            let postedDate = 'N/A';
-            
-            if (dateElement) {
-                postedDate = dateElement.textContent.trim();
-                // You might want to clean this up further
-                postedDate = postedDate.replace(/Posted|ago|\n/g, '').trim();
-            }
-
-            return { 
-                title, 
-                company, 
-                experience, 
-                location, 
-                skills, 
-                link,
-                postedDate  // Add the posted date to the returned object
-            };
-        });
-    });
-};
-
-        let allJobs = [];
-        let currentPage = 1;
-        const maxPages = 10; // Limit to prevent infinite scraping
-
-        while (currentPage <= maxPages) {
-            console.log(`Scraping page ${currentPage}...`);
-
-            // Wait for jobs to load
-            await page.waitForSelector('.srp-jobtuple-wrapper', { timeout: 30000 });
-
-            // Extract jobs from current page
-            const pageJobs = await extractJobs();
-            allJobs = [...allJobs, ...pageJobs];
-            console.log(`Found ${pageJobs.length} jobs on page ${currentPage}`);
-
-            // Try to go to next page
-            try {
-                const nextPageUrl = `${baseUrl}-${currentPage + 1}${experience ? `?experience=${experience}` : ''}`;
-                await page.goto(nextPageUrl, {
-                    waitUntil: 'networkidle2',
-                    timeout: 60000
-                });
-                currentPage++;
-            } catch (e) {
-                console.log(`No more pages found after page ${currentPage}`);
-                break;
-            }
-        }
+const IMPORT_MAX_ROWS = parseInt(process.env.IMPORT_MAX_ROWS, 10) || 5000;
+const IMPORT_BATCH_SIZE = 500;
 
-        console.log(`Total jobs found: ${allJobs.length}`);
+// Bulk import from partner feeds and ATS exports. The body is CSV, a JSON
+// array or JSON Lines (?format= or the Content-Type decides); ?mapping= is
+// an optional JSON object of job field to column name and ?source= labels
+// rows that don't name their own source. Responds with a per-row report.
+app.post('/api/jobs/import', async (req, res) => {
+  try {
+    const body = typeof req.body === 'string' ? req.body : '';
+    if (!body.trim()) {
+      return res.status(400).json({ success: false, error: 'Request body is empty' });
+    }
 
-        // Save to JSON
-        // const dir = './data';
-        // if (!fs.existsSync(dir)) {
-        //     fs.mkdirSync(dir);
-        // }
-        // fs.writeFileSync(path.join(dir, 'jobs.json'), JSON.stringify(allJobs, null, 2));
+    const format = detectFormat(req.query.format, req.get('content-type'), body);
+    if (!IMPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ success: false, error: `format must be one of: ${IMPORT_FORMATS.join(', ')}` });
+    }
 
-        return allJobs;
+    let mapping;
+    try {
+      mapping = req.query.mapping ? JSON.parse(req.query.mapping) : undefined;
     } catch (error) {
-        console.error('Scraping failed:', error);
-        throw error;
-    } finally {
-        if (browser) {  // Add this check
-            await browser.close();
-        }
+      return res.status(400).json({ success: false, error: 'mapping must be valid JSON' });
+    }
+    const mappingError = validateMapping(mapping);
+    if (mappingError) {
+      return res.status(400).json({ success: false, error: mappingError });
     }
-}
-
-function sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-}
-async function autoScroll(page) {
-    await page.evaluate(async () => {
-        await new Promise((resolve) => {
-            let totalHeight = 0;
-            const distance = 100;
-            const timer = setInterval(() => {
-                const scrollHeight = document.body.scrollHeight;
-                window.scrollBy(0, distance);
-                totalHeight += distance;
-
-                if (totalHeight >= scrollHeight - window.innerHeight) {
-                    clearInterval(timer);
-                    resolve();
-                }
-            }, 100);
-        });
-    });
-}
-
 
-async function crawlShine(role, location, experience = '', maxPages = 5) {
-    let browser;
+    let entries;
     try {
-        console.log(`Scraping Shine for ${role} in ${location}...`);
-        browser = await puppeteer.launch({
-executablePath: chromium.path,
-    headless: chromium.headless,            // executablePath: process.env.PUPPETEER_EXECUTABLE_PATH || 
-            //               '/usr/bin/google-chrome-stable',
-            args: [
-               '--no-sandbox',
-    '--disable-setuid-sandbox',
-    '--disable-dev-shm-usage',
-    '--disable-accelerated-2d-canvas',
-    '--no-first-run',
-    '--no-zygote',
-    '--disable-gpu',
-    '--single-process', // Runs in single process mode
-    '--disable-extensions',
-    '--disable-software-rasterizer',
-    '--disable-setuid-sandbox',
-    '--disable-background-timer-throttling',
-    '--disable-backgrounding-occluded-windows',
-    '--disable-renderer-backgrounding'
-            ],
-  ignoreHTTPSErrors: true,
-  defaultViewport: null
-        });
-
-        const page = await browser.newPage();
-        await page.setUserAgent(new userAgents({ deviceCategory: 'desktop' }).toString());
-        await page.setExtraHTTPHeaders({
-            'Accept-Language': 'en-US,en;q=0.9',
-        });
-
-        // Build base URL
-        const searchQuery = role.toLowerCase().replace(/\s+/g, '-');
-        const locationQuery = location.toLowerCase().replace(/\s+/g, '-');
-        let baseUrl = `https://www.shine.com/job-search/${searchQuery}-jobs-in-${locationQuery}`;
-        if (experience) baseUrl += `?exp=${experience}`;
-
-        let allJobs = [];
-        let currentPage = 1;
-
-        while (currentPage <= maxPages) {
-            let url = baseUrl;
-            if (currentPage > 1) {
-                url += `&page=${currentPage}`;
-            }
-
-            console.log(`Navigating to page ${currentPage}: ${url}`);
-            await page.goto(url, {
-                waitUntil: 'domcontentloaded',
-                timeout: 60000
-            });
-
-            // Debug: Take screenshot
-            await page.screenshot({ path: `shine-page-${currentPage}.png` });
-            console.log(`Took screenshot: shine-page-${currentPage}.png`);
-
-            // Wait for either jobs to load or "no jobs" message
-            try {
-                await Promise.race([
-                    page.waitForSelector('.jdbigCard.jobCardNova_bigCard__W2xn3', { timeout: 15000 }),
-                    page.waitForSelector('.noJobFoundContainer__noJobFoundWrapper__9Hv0O', { timeout: 15000 })
-                ]);
-            } catch (e) {
-                console.log('Neither jobs nor "no jobs" message found within timeout');
-            }
-
-            // Check if "no jobs" message exists
-            const noJobsFound = await page.$('.noJobFoundContainer__noJobFoundWrapper__9Hv0O');
-            if (noJobsFound) {
-                console.log('No more jobs found');
-                break;
-            }
-
-            // Scroll to load more jobs (if lazy-loaded)
-            await autoScroll(page);
-
-            // Extract jobs from current page
-            const pageJobs = await extractShineJobs(page);
-            if (pageJobs.length === 0) {
-                console.log('No jobs found on this page');
-                break;
-            }
-
-            allJobs = [...allJobs, ...pageJobs];
-            console.log(`Found ${pageJobs.length} jobs on page ${currentPage}`);
-
-            currentPage++;
-        }
-
-        console.log(`Total jobs found from Shine: ${allJobs.length}`);
-        return allJobs;
+      entries = parseRecords(body, format);
     } catch (error) {
-        console.error('Shine scraping failed:', error);
-        throw error;
-    } finally {
-        if (browser) {
-            await browser.close();
-        }
+      return res.status(400).json({ success: false, error: `Could not parse ${format}: ${error.message}` });
+    }
+    if (entries.length > IMPORT_MAX_ROWS) {
+      return res.status(413).json({ success: false, error: `Imports are limited to ${IMPORT_MAX_ROWS} rows` });
     }
-}
-
-// Separate function for job extraction
-async function extractShineJobs(page) {
-    return await page.evaluate(() => {
-        const jobElements = Array.from(document.querySelectorAll('.jdbigCard.jobCardNova_bigCard__W2xn3'));
-        return jobElements.map(job => {
-            try {
-                // Title and link
-                const titleElem = job.querySelector('.jobCardNova_bigCardTopTitleHeading__Rj2sC a');
-                const title = titleElem?.textContent?.trim() || 'N/A';
-                const link = titleElem?.href || '#';
-
-                // Company
-                const companyElem = job.querySelector('.jobCardNova_bigCardTopTitle__vLLav + span') ||
-                                    job.querySelector('.jobCardNova_bigCardTopTitle__vLLav span');
-                const company = companyElem?.textContent?.trim() || 'N/A';
-
-                // Experience, Location, Salary
-                const detailSpans = job.querySelectorAll('.jobCardNova_bigCardBottom__uVExC span');
-                let experience = 'N/A';
-                let location = 'N/A';
-                let salary = 'Not specified';
-
-                if (detailSpans.length >= 3) {
-                    experience = detailSpans[0]?.textContent?.trim() || 'N/A';
-                    location = detailSpans[1]?.textContent?.trim() || 'N/A';
-                    salary = detailSpans[2]?.textContent?.trim() || 'Not specified';
-                }
-
-                // Posted Date using partial class match
-                let postedDate = 'N/A';
-                const dateElement = job.querySelector('span[class*="jobCardNova_postedData"]');
-
-                if (dateElement) {
-                    postedDate = dateElement.textContent.trim();
-                    postedDate = postedDate.replace(/posted|Posted|ago|\n/g, '').trim();
-
-                    const now = new Date();
-                    const daysMatch = postedDate.match(/(\d+)\s+day/);
-                    const weeksMatch = postedDate.match(/(\d+)\s+week/);
-                    const hoursMatch = postedDate.match(/(\d+)\s+hour/);
-                    const minutesMatch = postedDate.match(/(\d+)\s+minute/);
-
-                    if (daysMatch) {
-                        now.setDate(now.getDate() - parseInt(daysMatch[1]));
-                        postedDate = now.toISOString().split('T')[0];
-                    } else if (weeksMatch) {
-                        now.setDate(now.getDate() - parseInt(weeksMatch[1]) * 7);
-                        postedDate = now.toISOString().split('T')[0];
-                    } else if (hoursMatch || minutesMatch) {
-                        postedDate = now.toISOString().split('T')[0];
-                    }
-                }
-
-                return {
-                    title,
-                    company,
-                    experience,
-                    location,
-                    salary,
-                    link,
-                    source: 'Shine',
-                    postedDate,
-                    scrapedDate: new Date().toISOString()
-                };
-            } catch (err) {
-                console.error('Error extracting job:', err);
-                return null;
-            }
-        }).filter(Boolean);
-    });
-}
 
+    const source = req.query.source || 'Import';
+    const report = [];
+    const accepted = []; // { row, job }
+    const firstRowByLink = new Map();
 
-// Auto-scroll function
-async function autoScroll(page) {
-    await page.evaluate(async () => {
-        await new Promise((resolve) => {
-            let totalHeight = 0;
-            const distance = 300;
-            const timer = setInterval(() => {
-                const scrollHeight = document.body.scrollHeight;
-                window.scrollBy(0, distance);
-                totalHeight += distance;
-
-                if (totalHeight >= scrollHeight - window.innerHeight) {
-                    clearInterval(timer);
-                    resolve();
-                }
-            }, 200);
-        });
-    });
-}
+    for (const { row, record, error } of entries) {
+      const mapped = error ? { error } : toJob(record, mapping, source);
+      if (mapped.error) {
+        report.push({ row, status: 'rejected', reason: mapped.error });
+        continue;
+      }
 
-async function crawlHirist(role, location, minExp = '', maxExp = '') {
-    const puppeteer = require('puppeteer');
-    let browser;
+      const earlier = firstRowByLink.get(mapped.job.link);
+      if (earlier) {
+        report.push({ row, status: 'duplicate', link: mapped.job.link, reason: `Same link as row ${earlier}` });
+        continue;
+      }
+      firstRowByLink.set(mapped.job.link, row);
+      accepted.push({ row, job: mapped.job });
+    }
 
-    try {
-        console.log(`Scraping Hirist.tech for ${role} in ${location}...`);
-        browser = await puppeteer.launch({
-            headless: "new",
- args: [
-    '--no-sandbox',
-    '--disable-setuid-sandbox',
-    '--disable-dev-shm-usage',
-    '--disable-accelerated-2d-canvas',
-    '--no-first-run',
-    '--no-zygote',
-    '--disable-gpu',
-    '--single-process', // Runs in single process mode
-    '--disable-extensions',
-    '--disable-software-rasterizer',
-    '--disable-setuid-sandbox',
-    '--disable-background-timer-throttling',
-    '--disable-backgrounding-occluded-windows',
-    '--disable-renderer-backgrounding'
-  ]  ,   ignoreHTTPSErrors: true,
-  defaultViewport: null    });
-
-        const page = await browser.newPage();
-        await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36');
-        await page.setExtraHTTPHeaders({
-            'Accept-Language': 'en-US,en;q=0.9',
-        });
-
-        const searchQuery = role.toLowerCase().replace(/\s+/g, '-');
-        let url = `https://www.hirist.tech/search/${searchQuery}?loc=${encodeURIComponent(location)}`;
-        if (minExp) url += `&minexp=${minExp}`;
-        if (maxExp) url += `&maxexp=${maxExp}`;
-
-        console.log(`Navigating to: ${url}`);
-        await page.goto(url, {
-            waitUntil: 'networkidle2',
-            timeout: 60000
-        });
-
-        // Scroll until 100+ jobs loaded
-        const targetCount = 100;
-        let prevCount = 0;
-
-        while (true) {
-            const jobs = await page.$$('.MuiBox-root.mui-style-1ancegk');
-            const count = jobs.length;
-
-            if (count >= targetCount) {
-                console.log(`Loaded ${count} jobs.`);
-                break;
-            }
-
-            if (count === prevCount) {
-                console.log('No new jobs loading, stopping...');
-                break;
-            }
-
-            prevCount = count;
-            await autoScroll(page);
-            await page.waitForTimeout(1000);
+    for (let start = 0; start < accepted.length; start += IMPORT_BATCH_SIZE) {
+      const batch = accepted.slice(start, start + IMPORT_BATCH_SIZE);
+      const { outcomes, error } = await saveJobs(batch.map(entry => entry.job));
+
+      batch.forEach(({ row, job }, index) => {
+        if (error) {
+          report.push({ row, status: 'rejected', link: job.link, reason: `Database error: ${error}` });
+        } else if (outcomes[index].status === 'inserted') {
+          report.push({ row, status: 'inserted', link: job.link, id: outcomes[index].id, canonicalJobId: outcomes[index].canonicalJobId });
+        } else {
+          const { id: existingId, changes } = outcomes[index];
+          report.push({ row, status: 'duplicate', link: job.link, id: existingId, reason: 'Link already saved', changes });
         }
-
-        // Extract job data
-        const extractJobs = async () => {
-            return await page.evaluate(() => {
-                const jobElements = Array.from(document.querySelectorAll('.MuiBox-root.mui-style-1ancegk'));
-
-                return jobElements.map(job => {
-                    const titleElement = job.querySelector('[data-testid="job_title"]');
-                    const title = titleElement?.textContent?.trim() || 'N/A';
-                    const link = titleElement?.closest('a')?.href || '#';
-
-                    const company = job.querySelector('.MuiTypography-subtitle1')?.textContent?.trim() || 'N/A';
-                    const experience = job.querySelector('[data-testid="job_experience"]')?.textContent?.trim() || 'N/A';
-                    const location = job.querySelector('[data-testid="job_location"]')?.textContent?.trim() || 'N/A';
-                    const salary = job.querySelector('.MuiTypography-root.mui-style-1n4cg6k')?.textContent?.trim() || 'Not specified';
-
-                    const skillsElement = job.querySelector('.MuiBox-root.mui-style-1u0q1tk');
-                    const skills = skillsElement ? 
-                        Array.from(skillsElement.querySelectorAll('span')).map(span => span.textContent.trim()) : [];
-
-                    // Extract and parse posted date
-                    let postedDate = 'N/A';
-                    const dateText = job.querySelector('[data-testid="job_posting_date"]')?.textContent || '';
-                    const relative = dateText.toLowerCase();
-
-                    const now = new Date();
-                    const days = relative.match(/(\d+)\s+day/);
-                    const weeks = relative.match(/(\d+)\s+week/);
-                    const hours = relative.match(/(\d+)\s+hour/);
-                    const minutes = relative.match(/(\d+)\s+minute/);
-
-                    if (days) {
-                        now.setDate(now.getDate() - parseInt(days[1]));
-                        postedDate = now.toISOString().split('T')[0];
-                    } else if (weeks) {
-                        now.setDate(now.getDate() - parseInt(weeks[1]) * 7);
-                        postedDate = now.toISOString().split('T')[0];
-                    } else if (hours || minutes) {
-                        postedDate = now.toISOString().split('T')[0];
-                    }
-
-                    return { 
-                        title, 
-                        company, 
-                        experience, 
-                        location, 
-                        skills, 
-                        salary,
-                        link,
-                        source: 'Hirist.tech',
-                        postedDate,
-                        scrapedDate: new Date().toISOString()
-                    };
-                });
-            });
-        };
-
-        const allJobs = await extractJobs();
-        console.log(`Extracted ${allJobs.length} jobs.`);
-        return allJobs;
-
-    } catch (error) {
-        console.error('Hirist.tech scraping failed:', error);
-        throw error;
-    } finally {
-        if (browser) await browser.close();
+      });
     }
-}
 
+    report.sort((a, b) => a.row - b.row);
+    const summary = { total: report.length, inserted: 0, duplicate: 0, rejected: 0 };
+    for (const entry of report) summary[entry.status]++;
 
-// Updated autoScroll function without waitForTimeout
-async function autoScroll(page) {
-    await page.evaluate(async () => {
-        await new Promise((resolve) => {
-            let totalHeight = 0;
-            const distance = 100;
-            const timer = setInterval(() => {
-                const scrollHeight = document.body.scrollHeight;
-                window.scrollBy(0, distance);
-                totalHeight += distance;
-
-                if (totalHeight >= scrollHeight - window.innerHeight) {
-                    clearInterval(timer);
-                    resolve();
-                }
-            }, 100);
-        });
-    });
-    // Replace waitForTimeout with traditional setTimeout
-    await new Promise(resolve => setTimeout(resolve, 1000));
-}
-// Email functions
-async function sendEmailAlert(email, jobs) {
-  try {
-    if (!jobs || jobs.length === 0) {
-      console.log('No jobs to email');
-      return false;
+    if (summary.inserted > 0) {
+      dispatchAlerts({ frequency: 'instant' });
+      wakeEnrichmentWorker();
     }
 
-    const transporter = nodemailer.createTransport({
-      service: 'gmail',
-      auth: {
-        user: process.env.EMAIL_USER,
-        pass: process.env.EMAIL_PASS
-      }
-    });
-
-    const mailOptions = {
-      from: `"Job Crawler" <${process.env.EMAIL_USER}>`,
-      to: email,
-      subject: `New Job Alerts (${jobs.length} positions)`,
-      html: generateEmailHtml(jobs)
-    };
-
-    const info = await transporter.sendMail(mailOptions);
-    console.log('Email sent:', info.messageId);
-    return true;
+    res.json({ success: true, format, summary, rows: report });
   } catch (error) {
-    console.error('Email sending failed:', error.message);
-    return false;
+    console.error('Jobs import error:', error);
+    res.status(500).json({ success: false, error: error.message });
   }
-}
-
-function generateEmailHtml(jobs) {
-  return `
-    <div style="font-family: Arial, sans-serif; max-width: 800px; margin: 0 auto;">
-      <h1 style="color: #333;">New Job Matches</h1>
-      <ul style="list-style: none; padding: 0;">
-        ${jobs.map(job => `
-          <li style="margin-bottom: 20px; border-bottom: 1px solid #eee; padding-bottom: 10px;">
-            <h3 style="margin: 0 0 5px 0; color: #1976d2;">${job.title}</h3>
-            <p style="margin: 0 0 5px 0;"><strong>Company:</strong> ${job.company}</p>
-            <p style="margin: 0 0 5px 0;"><strong>Location:</strong> ${job.location}</p>
-            ${job.salary !== 'Not specified' ? `<p style="margin: 0 0 5px 0;"><strong>Salary:</strong> ${job.salary}</p>` : ''}
-            <p style="margin: 0 0 5px 0;"><strong>Posted:</strong> ${new Date(job.posted_date).toLocaleDateString()}</p>
-            <p style="margin: 0 0 5px 0;"><strong>Source:</strong> ${job.source}</p>
-            <a href="${job.link}" style="display: inline-block; margin-top: 10px; padding: 8px 15px; background-color: #1976d2; color: white; text-decoration: none; border-radius: 4px;">View Job</a>
-          </li>
-        `).join('')}
-      </ul>
-    </div>
-  `;
-}
+});
 
-// API Routes
-app.post('/api/crawl', async (req, res) => {
-  let browser; // Declare browser here if needed
+// Every copy of a posting: the canonical job plus the duplicates grouped under it
+app.get('/api/jobs/:id/duplicates', async (req, res) => {
   try {
-    const { role, location, source = 'naukri', experience } = req.body;
+    const id = parseId(req.params.id);
+    if (!id) {
+      return res.status(400).json({ success: false, error: 'Invalid job ID' });
+    }
 
-    if (!role || !location) {
-      return res.status(400).json({
-        success: false,
-        error: 'Role and location are required'
-      });
+    const jobResult = await pool.query('SELECT id, canonical_job_id FROM jobs WHERE id = $1', [id]);
+    if (jobResult.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Job not found' });
     }
 
-    let jobs = [];
-    const startTime = Date.now();
-
-    switch (source.toLowerCase()) {
-      case 'naukri':
-        jobs = await crawlNaukri(role, location, experience);
-        break;
-      case 'shine':
-        jobs = await crawlShine(role, location);
-        break;
-      case 'hirist':
-        jobs = await crawlHirist(role, location);
-        break;
-      case 'linkedin':
-        jobs = await crawlLinkedIn(role, location, experience);
-        break;
-      default:
-        return res.status(400).json({
-          success: false,
-          error: 'Invalid source. Supported sources are "naukri", "shine", and "hirist".'
-        });
-    }
-
-    const { newJobs, duplicates } = await saveJobs(jobs);
-    const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+    const canonicalId = jobResult.rows[0].canonical_job_id || id;
+    const groupResult = await pool.query(
+      'SELECT * FROM jobs WHERE id = $1 OR canonical_job_id = $1 ORDER BY id',
+      [canonicalId]
+    );
+
+    const canonical = groupResult.rows.find(job => job.id === canonicalId);
+    const duplicates = groupResult.rows.filter(job => job.id !== canonicalId);
 
     res.json({
       success: true,
-      source,
-      role,
-      location,
-      totalJobs: jobs.length,
-      newJobs,
+      canonical,
+      count: duplicates.length,
       duplicates,
-      duration: `${duration} seconds`,
-      jobs: jobs.slice(0, 50)
+      links: groupResult.rows.map(job => ({ id: job.id, source: job.source, link: job.link }))
     });
-
   } catch (error) {
-    console.error('Crawl error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message,
-      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
-    });
-  } finally {
-    if (browser) {
-      await browser.close();
-    }
+    console.error('Duplicates fetch error:', error);
+    res.status(500).json({ success: false, error: error.message });
   }
 });
 
-app.get('/api/jobs', async (req, res) => {
+// Edits detected on re-crawls, oldest first
+app.get('/api/jobs/:id/history', async (req, res) => {
   try {
-    const { role, location, source, page = 1, limit = 20 } = req.query;
-    const offset = (page - 1) * limit;
-    
-    // Build the query dynamically based on filters
-    let query = 'SELECT * FROM jobs';
-    const queryParams = [];
-    const whereClauses = [];
-    
-    if (role) {
-      queryParams.push(`%${role}%`);
-      whereClauses.push(`title ILIKE $${queryParams.length}`);
-    }
-    
-    if (location) {
-      queryParams.push(`%${location}%`);
-      whereClauses.push(`location ILIKE $${queryParams.length}`);
-    }
-    
-    if (source) {
-      queryParams.push(`%${source}%`);
-      whereClauses.push(`source ILIKE $${queryParams.length}`);
-    }
-    
-    if (whereClauses.length > 0) {
-      query += ' WHERE ' + whereClauses.join(' AND ');
+    const id = parseId(req.params.id);
+    if (!id) {
+      return res.status(400).json({ success: false, error: 'Invalid job ID' });
     }
-    
-    // Add pagination
-    query += ` ORDER BY posted_date DESC LIMIT ${limit} OFFSET ${offset}`;
-    
-    // Get jobs
-    const jobsResult = await pool.query(query, queryParams);
-    const jobs = jobsResult.rows;
-    
-    // Get total count for pagination
-    let countQuery = 'SELECT COUNT(*) FROM jobs';
-    if (whereClauses.length > 0) {
-      countQuery += ' WHERE ' + whereClauses.join(' AND ');
+
+    const jobResult = await pool.query(
+      'SELECT id, title, company, location, salary, first_seen_at, last_seen_at, seen_count, status FROM jobs WHERE id = $1',
+      [id]
+    );
+    if (jobResult.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Job not found' });
     }
-    const countResult = await pool.query(countQuery, queryParams);
-    const total = parseInt(countResult.rows[0].count);
-    
+
+    const revisions = await getJobHistory(id);
     res.json({
       success: true,
-      count: jobs.length,
-      total,
-      page: parseInt(page),
-      pages: Math.ceil(total / limit),
-      jobs
+      job: jobResult.rows[0],
+      count: revisions.length,
+      revisions
     });
   } catch (error) {
-    console.error('Jobs fetch error:', error);
+    console.error('Job history fetch error:', error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
+// Visits the job's detail page now and returns the enriched job
+app.post('/api/jobs/:id/enrich', async (req, res) => {
+  const id = parseId(req.params.id);
+  if (!id) {
+    return res.status(400).json({ success: false, error: 'Invalid job ID' });
+  }
+
+  try {
+    const job = await enrichJob(id);
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'Job not found' });
+    }
+    res.json({ success: true, job });
+  } catch (error) {
+    console.error('Job enrichment error:', error);
+    // Unsupported sources are the request's problem; page failures are upstream
+    res.status(error.unsupported ? 422 : 502).json({ success: false, error: `Enrichment failed: ${error.message}` });
+  }
+});
+
 app.post('/api/alert', async (req, res) => {
   try {
-    const { email, role, location, source } = req.body;
-    if (!email || !role) {
+    const { email, role, location, source, channel = 'email', target, secret } = req.body;
+    const notifier = getChannel(channel);
+    if (!notifier) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid channel. Supported channels are ${listChannels().map(c => `"${c}"`).join(', ')}.`
+      });
+    }
+
+    // Email channels deliver to `email`; chat and webhook channels to `target`
+    const destination = target || email;
+    if (!destination || !role) {
       return res.status(400).json({
         success: false,
-        error: 'Email and role are required'
+        error: 'Role and an email or target are required'
       });
     }
 
+    const targetError = notifier.validateTarget(destination);
+    if (targetError) {
+      return res.status(400).json({ success: false, error: targetError });
+    }
+
     // Build query for jobs from last 24 hours
     let query = `
       SELECT * FROM jobs 
-      WHERE posted_date >= NOW() - INTERVAL '24 HOURS'
+      WHERE posted_at >= NOW() - INTERVAL '24 HOURS'
+      AND canonical_job_id IS NULL
+      AND status = 'active'
       AND title ILIKE $1
     `;
     const queryParams = [`%${role}%`];
@@ -1033,7 +1204,7 @@ app.post('/api/alert', async (req, res) => {
       query += ` AND source ILIKE $${queryParams.length}`;
     }
     
-    query += ' ORDER BY posted_date DESC LIMIT 10';
+    query += ' ORDER BY posted_at DESC LIMIT 10';
     
     const result = await pool.query(query, queryParams);
     const jobs = result.rows;
@@ -1046,18 +1217,23 @@ app.post('/api/alert', async (req, res) => {
       });
     }
 
-    const emailResult = await sendEmailAlert(email, jobs);
+    const delivery = await notify(notifier.name, destination, jobs, { secret, context: 'alert' });
 
-    if (!emailResult) {
-      return res.status(500).json({
+    if (!delivery.success) {
+      return res.status(502).json({
         success: false,
-        error: 'Failed to send email'
+        error: `Failed to send alert: ${delivery.error}`,
+        attempts: delivery.attempts,
+        deliveryId: delivery.deliveryId
       });
     }
 
     res.json({
       success: true,
+      channel: notifier.name,
       sent: jobs.length,
+      attempts: delivery.attempts,
+      deliveryId: delivery.deliveryId,
       message: `Alert sent with ${jobs.length} jobs`
     });
   } catch (error) {
@@ -1070,6 +1246,233 @@ app.post('/api/alert', async (req, res) => {
   }
 });
 
+// Companies with their open-role counts, most active first
+app.get('/api/companies', async (req, res) => {
+  try {
+    const limit = parseLimit(req.query.limit);
+    const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+    if (limit === null || !Number.isInteger(offset) || offset < 0) {
+      return res.status(400).json({ success: false, error: 'limit and offset must be non-negative integers' });
+    }
+
+    const { total, companies } = await listCompanies({ q: req.query.q, limit, offset });
+    res.json({ success: true, count: companies.length, total, limit, offset, companies });
+  } catch (error) {
+    console.error('Companies fetch error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/companies/:id', async (req, res) => {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) {
+      return res.status(400).json({ success: false, error: 'Invalid company ID' });
+    }
+
+    const company = await getCompany(id);
+    if (!company) {
+      return res.status(404).json({ success: false, error: 'Company not found' });
+    }
+    res.json({ success: true, company });
+  } catch (error) {
+    console.error('Company fetch error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Maps another spelling of the name onto the company, merging any company
+// that spelling already had
+app.post('/api/companies/:id/aliases', async (req, res) => {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) {
+      return res.status(400).json({ success: false, error: 'Invalid company ID' });
+    }
+    if (!req.body || typeof req.body.alias !== 'string' || !req.body.alias.trim()) {
+      return res.status(400).json({ success: false, error: 'alias is required' });
+    }
+
+    const result = await addCompanyAlias(id, req.body.alias);
+    if (!result) {
+      return res.status(404).json({ success: false, error: 'Company not found' });
+    }
+    if (result.error) {
+      return res.status(400).json({ success: false, error: result.error });
+    }
+    res.status(201).json({ success: true, ...result, company: await getCompany(id) });
+  } catch (error) {
+    console.error('Company alias error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/notifications', async (req, res) => {
+  try {
+    const { status, channel } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+    const deliveries = await listDeliveries({ status, channel, limit });
+    res.json({ success: true, channels: listChannels(), count: deliveries.length, deliveries });
+  } catch (error) {
+    console.error('Notifications fetch error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function parseSubscriptionBody(body, { partial = false } = {}) {
+  const fields = {};
+  const has = key => body[key] !== undefined;
+
+  if (has('email')) {
+    if (typeof body.email !== 'string' || !EMAIL_PATTERN.test(body.email.trim())) {
+      return { error: 'A valid email is required' };
+    }
+    fields.email = body.email.trim();
+  }
+
+  if (has('role')) {
+    if (typeof body.role !== 'string' || !body.role.trim()) {
+      return { error: 'role must be a non-empty string' };
+    }
+    fields.role = body.role.trim();
+  }
+
+  if (!partial && (!fields.email || !fields.role)) {
+    return { error: 'Email and role are required' };
+  }
+
+  for (const key of ['location', 'source']) {
+    if (has(key)) fields[key] = body[key] ? String(body[key]).trim() : null;
+  }
+
+  if (has('frequency')) {
+    if (!FREQUENCIES.includes(body.frequency)) {
+      return { error: `frequency must be one of ${FREQUENCIES.join(', ')}` };
+    }
+    fields.frequency = body.frequency;
+  }
+
+  if (partial && has('active')) {
+    if (typeof body.active !== 'boolean') return { error: 'active must be a boolean' };
+    fields.active = body.active;
+  }
+
+  return { fields };
+}
+
+app.get('/api/subscriptions', async (req, res) => {
+  try {
+    const subscriptions = await listSubscriptions({ email: req.query.email });
+    res.json({ success: true, count: subscriptions.length, subscriptions });
+  } catch (error) {
+    console.error('Subscriptions fetch error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/subscriptions', async (req, res) => {
+  try {
+    const { fields, error } = parseSubscriptionBody(req.body || {});
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const subscription = await createSubscription(fields);
+    res.status(201).json({ success: true, subscription });
+  } catch (error) {
+    console.error('Subscription create error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/subscriptions/:id', async (req, res) => {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) {
+      return res.status(400).json({ success: false, error: 'Invalid subscription ID' });
+    }
+
+    const subscription = await getSubscription(id);
+    if (!subscription) {
+      return res.status(404).json({ success: false, error: 'Subscription not found' });
+    }
+
+    res.json({ success: true, subscription });
+  } catch (error) {
+    console.error('Subscription fetch error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.patch('/api/subscriptions/:id', async (req, res) => {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) {
+      return res.status(400).json({ success: false, error: 'Invalid subscription ID' });
+    }
+
+    const { fields, error } = parseSubscriptionBody(req.body || {}, { partial: true });
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const subscription = await updateSubscription(id, fields);
+    if (!subscription) {
+      return res.status(404).json({ success: false, error: 'Subscription not found' });
+    }
+
+    res.json({ success: true, subscription });
+  } catch (error) {
+    console.error('Subscription update error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/subscriptions/:id', async (req, res) => {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) {
+      return res.status(400).json({ success: false, error: 'Invalid subscription ID' });
+    }
+
+    const deleted = await deleteSubscription(id);
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'Subscription not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Subscription delete error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Linked from every alert email. GET serves the link a person clicks; POST
+// handles one-click unsubscribe from mail clients (List-Unsubscribe-Post).
+async function handleUnsubscribe(req, res) {
+  try {
+    const id = parseId(req.params.id);
+    if (!id || !verifyUnsubscribeToken(id, req.query.token)) {
+      return res.status(403).send('This unsubscribe link is invalid.');
+    }
+
+    const subscription = await unsubscribe(id);
+    if (!subscription) {
+      return res.status(404).send('This subscription no longer exists.');
+    }
+
+    res.type('text/plain').send(`You have been unsubscribed from ${subscription.role} job alerts.`);
+  } catch (error) {
+    console.error('Unsubscribe error:', error);
+    res.status(500).send('Something went wrong. Please try again later.');
+  }
+}
+
+app.get('/api/subscriptions/:id/unsubscribe', handleUnsubscribe);
+app.post('/api/subscriptions/:id/unsubscribe', handleUnsubscribe);
+
 app.get('/health', async (req, res) => {
   try {
     // Test database connection
@@ -1111,8 +1514,14 @@ app.get('/api/verify-db', async (req, res) => {
       WHERE conrelid = 'jobs'::regclass AND contype = 'u'
     `);
 
+    const version = await schemaVersion(pool);
+    const latestVersion = Math.max(0, ...loadMigrations().map(m => m.version));
+
     res.json({
       connected: true,
+      schemaVersion: version,
+      latestSchemaVersion: latestVersion,
+      schemaUpToDate: version >= latestVersion,
       tableExists: tableExists.rows[0].exists,
       jobCount,
       hasUniqueConstraint: constraints.rows.length > 0,
@@ -1126,7 +1535,13 @@ app.get('/api/verify-db', async (req, res) => {
   }
 });
 // Initialize database and start server
-initializeDatabase().then(() => {
+initializeDatabase().then(async () => {
+  await startCrawlWorker();
+  startScheduler();
+  startAlertDispatcher();
+  startEnrichmentWorker();
+  startLifecycleJobs();
+
   const PORT = process.env.PORT || 5000;
   const server = app.listen(PORT, () => {
     console.log(`Server running on port ${PORT}`);
@@ -1135,8 +1550,14 @@ initializeDatabase().then(() => {
   });
 
   // Handle shutdown gracefully
-  process.on('SIGTERM', () => {
+  process.on('SIGTERM', async () => {
     console.log('SIGTERM received. Shutting down gracefully...');
+    stopScheduler();
+    stopAlertDispatcher();
+    stopLifecycleJobs();
+    await stopEnrichmentWorker();
+    await stopCrawlWorker().catch(err => console.error('Failed to requeue crawl runs:', err));
+    await closeBrowserPool();
     server.close(() => {
       console.log('Server closed');
       process.exit(0);
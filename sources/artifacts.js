@@ -0,0 +1,181 @@
+const fs = require('fs');
+const path = require('path');
+
+// Debug captures, one directory per crawl run and source:
+// <dir>/<runId>/<source>/<label>.{png,html,json}
+const ARTIFACTS_DIR = process.env.CRAWL_ARTIFACTS_DIR || path.join(__dirname, '..', 'artifacts');
+// Only the newest runs' artifacts are kept, and none older than this
+const MAX_RUNS = parseInt(process.env.CRAWL_ARTIFACTS_MAX_RUNS, 10) || 20;
+const MAX_AGE_DAYS = parseInt(process.env.CRAWL_ARTIFACTS_MAX_AGE_DAYS, 10) || 7;
+// Console and network entries kept per page between captures
+const MAX_LOG_ENTRIES = 500;
+
+// off: nothing is captured; failure: pages a crawl failed or found nothing on;
+// always: every page. CRAWL_DEBUG sets the default, a run's debug param overrides it.
+const DEBUG_MODES = ['off', 'failure', 'always'];
+const DEFAULT_MODE = DEBUG_MODES.includes(process.env.CRAWL_DEBUG) ? process.env.CRAWL_DEBUG : 'off';
+
+const ARTIFACT_TYPES = { '.png': 'screenshot', '.html': 'html', '.json': 'log' };
+const SAFE_NAME = /^[\w.-]+$/;
+
+function runDir(runId) {
+  return path.join(ARTIFACTS_DIR, String(runId));
+}
+
+// Drops run directories beyond the retention limits, never the run that is
+// currently capturing
+async function pruneArtifacts(currentRunId) {
+  let entries;
+  try {
+    entries = await fs.promises.readdir(ARTIFACTS_DIR, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') return;
+    throw error;
+  }
+
+  const runs = entries
+    .filter(entry => entry.isDirectory() && /^\d+$/.test(entry.name) && entry.name !== String(currentRunId))
+    .map(entry => Number(entry.name))
+    .sort((a, b) => b - a);
+
+  const cutoff = Date.now() - MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+  for (const [index, runId] of runs.entries()) {
+    const { mtimeMs } = await fs.promises.stat(runDir(runId));
+    // The current run counts towards the limit
+    if (index + 1 >= MAX_RUNS || mtimeMs < cutoff) {
+      await fs.promises.rm(runDir(runId), { recursive: true, force: true });
+    }
+  }
+}
+
+const disabledRecorder = { mode: 'off', capture: async () => [], stop() {} };
+
+// Buffers the page's console output and failed requests and, on capture(),
+// writes a screenshot, the HTML and those logs for the current page. Only
+// crawls that belong to a run are recorded. Capturing never throws.
+function createRecorder(page, { runId, source, mode } = {}) {
+  mode = mode || DEFAULT_MODE;
+  if (!runId || mode === 'off') return disabledRecorder;
+
+  const dir = path.join(runDir(runId), source);
+  let consoleLog = [];
+  let networkLog = [];
+  let pruned = false;
+
+  const push = (log, entry) => {
+    log.push({ ...entry, at: new Date().toISOString() });
+    if (log.length > MAX_LOG_ENTRIES) log.shift();
+  };
+
+  const listeners = {
+    console: message => push(consoleLog, { type: message.type(), text: message.text() }),
+    pageerror: error => push(consoleLog, { type: 'pageerror', text: error.message }),
+    requestfailed: request => push(networkLog, {
+      method: request.method(),
+      url: request.url(),
+      failure: request.failure()?.errorText || 'failed'
+    }),
+    response: response => {
+      if (response.status() >= 400 || response.request().resourceType() === 'document') {
+        push(networkLog, { method: response.request().method(), url: response.url(), status: response.status() });
+      }
+    }
+  };
+  for (const [event, listener] of Object.entries(listeners)) page.on(event, listener);
+
+  async function capture(label, error = null) {
+    const base = path.join(dir, label);
+    const files = [];
+    try {
+      await fs.promises.mkdir(dir, { recursive: true });
+      if (!pruned) {
+        pruned = true;
+        await pruneArtifacts(runId);
+      }
+
+      // Each part is best effort: a crashed page may still yield its logs
+      await page.screenshot({ path: `${base}.png`, fullPage: true })
+        .then(() => files.push(`${label}.png`))
+        .catch(err => console.warn(`Screenshot for ${source} ${label} failed:`, err.message));
+      await page.content()
+        .then(html => fs.promises.writeFile(`${base}.html`, html))
+        .then(() => files.push(`${label}.html`))
+        .catch(err => console.warn(`HTML snapshot for ${source} ${label} failed:`, err.message));
+
+      await fs.promises.writeFile(`${base}.json`, JSON.stringify({
+        label,
+        url: page.url(),
+        capturedAt: new Date().toISOString(),
+        error: error ? { message: error.message, stack: error.stack } : null,
+        console: consoleLog,
+        network: networkLog
+      }, null, 2));
+      files.push(`${label}.json`);
+
+      consoleLog = [];
+      networkLog = [];
+      console.log(`Saved debug artifacts for ${source} run ${runId}: ${files.join(', ')}`);
+    } catch (err) {
+      console.warn(`Failed to save debug artifacts for ${source} run ${runId}:`, err.message);
+    }
+    return files;
+  }
+
+  function stop() {
+    for (const [event, listener] of Object.entries(listeners)) page.off(event, listener);
+  }
+
+  return { mode, capture, stop };
+}
+
+// Artifacts saved for a run, oldest first; empty when there are none
+async function listArtifacts(runId) {
+  const artifacts = [];
+  let sources;
+  try {
+    sources = await fs.promises.readdir(runDir(runId), { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') return artifacts;
+    throw error;
+  }
+
+  for (const sourceDir of sources.filter(entry => entry.isDirectory())) {
+    const files = await fs.promises.readdir(path.join(runDir(runId), sourceDir.name));
+    for (const file of files) {
+      const type = ARTIFACT_TYPES[path.extname(file)];
+      if (!type) continue;
+      const { size, mtime } = await fs.promises.stat(path.join(runDir(runId), sourceDir.name, file));
+      artifacts.push({
+        source: sourceDir.name,
+        file,
+        type,
+        size,
+        createdAt: mtime,
+        url: `/api/crawl/${runId}/artifacts/${sourceDir.name}/${file}`
+      });
+    }
+  }
+
+  return artifacts.sort((a, b) => a.createdAt - b.createdAt);
+}
+
+// Absolute path of one artifact, or null when the names could escape the
+// artifact directory or the file doesn't exist
+async function artifactPath(runId, source, file) {
+  if (!SAFE_NAME.test(source) || !SAFE_NAME.test(file) || !ARTIFACT_TYPES[path.extname(file)]) return null;
+  const fullPath = path.join(runDir(runId), source, file);
+  try {
+    await fs.promises.access(fullPath);
+    return fullPath;
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  ARTIFACTS_DIR,
+  DEBUG_MODES,
+  createRecorder,
+  listArtifacts,
+  artifactPath
+};
@@ -0,0 +1,92 @@
+const puppeteer = require('puppeteer-extra');
+const StealthPlugin = require('puppeteer-extra-plugin-stealth');
+const { crawlError } = require('./retry');
+
+// Add stealth plugin to avoid detection
+puppeteer.use(StealthPlugin());
+
+const BROWSER_ARGS = [
+  '--no-sandbox',
+  '--disable-setuid-sandbox',
+  '--disable-dev-shm-usage',
+  '--disable-accelerated-2d-canvas',
+  '--no-first-run',
+  '--no-zygote',
+  '--disable-gpu',
+  '--single-process', // Runs in single process mode
+  '--disable-extensions',
+  '--disable-software-rasterizer',
+  '--disable-background-timer-throttling',
+  '--disable-backgrounding-occluded-windows',
+  '--disable-renderer-backgrounding'
+];
+
+const DEFAULT_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36';
+
+async function launchBrowser() {
+  return puppeteer.launch({
+    headless: 'new',
+    args: BROWSER_ARGS,
+    ignoreHTTPSErrors: true,
+    defaultViewport: null
+  });
+}
+
+// Signs that the site served a bot check or login wall instead of results
+const BLOCK_URL_PATTERN = /\/(captcha|challenge|checkpoint|authwall)(\/|$)/i;
+const BLOCK_TITLE_PATTERN = /captcha|access denied|are you a robot|just a moment|attention required|security check/i;
+const BLOCK_SELECTOR = '#captcha, form[action*="captcha"]';
+
+// Throws a classified error when the page we landed on is a rate limit or block
+async function checkBlocked(page, response) {
+  const status = response?.status();
+  if (status === 429) throw crawlError('rate_limited', `Rate limited (HTTP 429) at ${page.url()}`);
+  if (status === 403) throw crawlError('blocked', `Blocked (HTTP 403) at ${page.url()}`);
+
+  const title = await page.title().catch(() => '');
+  if (BLOCK_URL_PATTERN.test(new URL(page.url()).pathname) || BLOCK_TITLE_PATTERN.test(title) || await page.$(BLOCK_SELECTOR)) {
+    throw crawlError('blocked', `Bot check or login wall at ${page.url()}`);
+  }
+}
+
+async function openSearchPage(page, url, waitUntil = 'domcontentloaded') {
+  console.log(`Navigating to: ${url}`);
+  const response = await page.goto(url, {
+    waitUntil,
+    timeout: 60000
+  });
+  await checkBlocked(page, response);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function autoScroll(page) {
+  await page.evaluate(async () => {
+    await new Promise((resolve) => {
+      let totalHeight = 0;
+      const distance = 100;
+      const timer = setInterval(() => {
+        const scrollHeight = document.body.scrollHeight;
+        window.scrollBy(0, distance);
+        totalHeight += distance;
+
+        if (totalHeight >= scrollHeight - window.innerHeight) {
+          clearInterval(timer);
+          resolve();
+        }
+      }, 100);
+    });
+  });
+  // Give lazy-loaded cards a moment to render
+  await sleep(1000);
+}
+
+module.exports = {
+  DEFAULT_USER_AGENT,
+  launchBrowser,
+  openSearchPage,
+  autoScroll,
+  sleep
+};
@@ -0,0 +1,153 @@
+const { DEFAULT_USER_AGENT, launchBrowser } = require('./browser');
+
+// Max pages (each in its own browser context) open at once across all crawls
+const MAX_CONCURRENCY = parseInt(process.env.BROWSER_POOL_SIZE, 10) || 2;
+// Chromium grows over time, so a browser is replaced after serving this many pages
+const PAGES_PER_BROWSER = parseInt(process.env.BROWSER_PAGES_PER_BROWSER, 10) || 50;
+// Close the browser when nothing has used it for this long
+const IDLE_TIMEOUT_MS = parseInt(process.env.BROWSER_IDLE_TIMEOUT_MS, 10) || 60000;
+
+let current = null; // { launching, pagesServed, active, idleTimer }
+const retiring = new Set();
+const waiters = [];
+let inUse = 0;
+let closed = false;
+
+function waitForSlot(signal) {
+  signal?.throwIfAborted();
+  if (inUse < MAX_CONCURRENCY) {
+    inUse++;
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve, reject) => {
+    const waiter = { resolve, reject };
+    waiters.push(waiter);
+    signal?.addEventListener('abort', () => {
+      const index = waiters.indexOf(waiter);
+      if (index !== -1) {
+        waiters.splice(index, 1);
+        reject(signal.reason);
+      }
+    }, { once: true });
+  });
+}
+
+function releaseSlot() {
+  // Hand the slot straight to the next waiter instead of freeing it
+  const waiter = waiters.shift();
+  if (waiter) {
+    waiter.resolve();
+  } else {
+    inUse--;
+  }
+}
+
+async function closeEntry(entry) {
+  clearTimeout(entry.idleTimer);
+  retiring.delete(entry);
+  if (current === entry) current = null;
+
+  try {
+    const browser = await entry.launching;
+    await browser.close();
+  } catch (error) {
+    console.error('Failed to close browser:', error.message);
+  }
+}
+
+function retire(entry) {
+  if (current === entry) current = null;
+  retiring.add(entry);
+  if (entry.active === 0) closeEntry(entry);
+}
+
+function currentEntry() {
+  if (current && current.pagesServed >= PAGES_PER_BROWSER) {
+    console.log(`Recycling browser after ${current.pagesServed} pages`);
+    retire(current);
+  }
+
+  if (!current) {
+    const entry = { launching: launchBrowser(), pagesServed: 0, active: 0, idleTimer: null };
+    entry.launching.then(
+      browser => browser.on('disconnected', () => {
+        if (current === entry) current = null;
+        retiring.delete(entry);
+      }),
+      () => {
+        if (current === entry) current = null;
+      }
+    );
+    current = entry;
+  }
+
+  clearTimeout(current.idleTimer);
+  return current;
+}
+
+function finish(entry) {
+  entry.active--;
+  if (entry.active === 0) {
+    if (retiring.has(entry)) {
+      closeEntry(entry);
+    } else if (current === entry) {
+      entry.idleTimer = setTimeout(() => closeEntry(entry), IDLE_TIMEOUT_MS);
+    }
+  }
+  releaseSlot();
+}
+
+// Resolves to { page, release } once a slot is free. The page lives in its
+// own browser context, so cookies and storage never leak between crawls.
+// release() closes the context and is safe to call more than once.
+async function acquirePage({ userAgent = DEFAULT_USER_AGENT, signal } = {}) {
+  if (closed) throw new Error('Browser pool is closed');
+  await waitForSlot(signal);
+
+  const entry = currentEntry();
+  entry.pagesServed++;
+  entry.active++;
+
+  let context;
+  try {
+    const browser = await entry.launching;
+    context = await browser.createBrowserContext();
+
+    const page = await context.newPage();
+    await page.setUserAgent(userAgent);
+    await page.setExtraHTTPHeaders({
+      'Accept-Language': 'en-US,en;q=0.9',
+    });
+
+    let released = false;
+    const release = async () => {
+      if (released) return;
+      released = true;
+      await context.close().catch(() => {});
+      finish(entry);
+    };
+
+    return { page, release };
+  } catch (error) {
+    if (context) await context.close().catch(() => {});
+    finish(entry);
+    throw error;
+  }
+}
+
+async function closeBrowserPool() {
+  closed = true;
+  for (const waiter of waiters.splice(0)) {
+    waiter.reject(new Error('Browser pool is closed'));
+  }
+
+  const entries = Array.from(retiring);
+  if (current) entries.push(current);
+  await Promise.all(entries.map(closeEntry));
+}
+
+module.exports = {
+  acquirePage,
+  closeBrowserPool
+};
@@ -0,0 +1,51 @@
+const fs = require('fs');
+const path = require('path');
+
+// Saved pages the extractor tests run against, one directory per source
+const FIXTURES_DIR = path.join(__dirname, '..', 'test', 'fixtures');
+
+function fixturePath(source, name) {
+  return path.join(FIXTURES_DIR, source, `${name}.html`);
+}
+
+// Writes the page's current DOM as a fixture. Scripts are dropped so the
+// saved copy stays as rendered when loaded offline, and a <base> pointing at
+// the original URL keeps relative links resolving the way they did live.
+async function saveFixture(page, source, name) {
+  const html = await page.evaluate(() => {
+    document.querySelectorAll('script, noscript, iframe').forEach(element => element.remove());
+
+    let base = document.querySelector('base');
+    if (!base) {
+      base = document.createElement('base');
+      base.href = location.href;
+      document.head.prepend(base);
+    } else {
+      base.setAttribute('href', base.href);
+    }
+
+    return '<!DOCTYPE html>\n' + document.documentElement.outerHTML;
+  });
+
+  const file = fixturePath(source, name);
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  await fs.promises.writeFile(file, html);
+  return file;
+}
+
+// Opens a fixture in a new page of the given browser. Every request the page
+// makes (images, stylesheets) is aborted, so tests never touch the network.
+async function openFixture(browser, source, name) {
+  const html = await fs.promises.readFile(fixturePath(source, name), 'utf8');
+  const page = await browser.newPage();
+  await page.setRequestInterception(true);
+  page.on('request', request => request.abort());
+  await page.setContent(html, { waitUntil: 'load' });
+  return page;
+}
+
+module.exports = {
+  FIXTURES_DIR,
+  saveFixture,
+  openFixture
+};
@@ -0,0 +1,84 @@
+const { openSearchPage, autoScroll } = require('./browser');
+const { normalizeJob } = require('./normalize');
+const { getSection, extractFields, anySelector } = require('./selectors');
+
+// Hirist renders results as one infinite-scroll list
+const TARGET_COUNT = 100;
+
+function buildSearchUrl({ role, location, minExp, maxExp }) {
+  const searchQuery = role.toLowerCase().replace(/\s+/g, '-');
+  let url = `https://www.hirist.tech/search/${searchQuery}?loc=${encodeURIComponent(location)}`;
+  if (minExp) url += `&minexp=${encodeURIComponent(minExp)}`;
+  if (maxExp) url += `&maxexp=${encodeURIComponent(maxExp)}`;
+  return url;
+}
+
+async function paginate(page, params, pageNumber, run = {}) {
+  await openSearchPage(page, buildSearchUrl(params), 'networkidle2');
+
+  // Scroll until 100+ jobs loaded
+  let prevCount = 0;
+
+  while (true) {
+    run.signal?.throwIfAborted();
+    const jobs = await page.$$(anySelector(getSection('hirist', 'search').card));
+    const count = jobs.length;
+
+    if (count >= TARGET_COUNT) {
+      console.log(`Loaded ${count} jobs.`);
+      break;
+    }
+
+    if (count === prevCount) {
+      console.log('No new jobs loading, stopping...');
+      break;
+    }
+
+    prevCount = count;
+    await autoScroll(page);
+  }
+
+  return true;
+}
+
+async function extract(page) {
+  const cards = await extractFields(page, 'hirist', 'search');
+  return cards.map(card => ({
+    title: card.title || 'N/A',
+    company: card.company || 'N/A',
+    experience: card.experience || 'N/A',
+    location: card.location || 'N/A',
+    skills: card.skills,
+    salary: card.salary || 'Not specified',
+    link: card.link || '#',
+    // Raw text like "3 days ago"; parsed on the server by parsePostedDate
+    postedDate: card.postedDate || 'N/A'
+  }));
+}
+
+async function extractDetail(page) {
+  await page.waitForSelector(anySelector(getSection('hirist', 'detail').waitFor), { timeout: 15000 });
+
+  const [detail] = await extractFields(page, 'hirist', 'detail');
+  return {
+    description: detail.description,
+    // Skill tags link to keyword searches like /k/java-jobs
+    skills: detail.skills,
+    employmentType: detail.employmentType,
+    salary: null,
+    experience: null,
+    applyUrl: null
+  };
+}
+
+module.exports = {
+  name: 'hirist',
+  label: 'Hirist.tech',
+  filters: ['minExp', 'maxExp'],
+  maxPages: 1,
+  buildSearchUrl,
+  paginate,
+  extract,
+  extractDetail,
+  normalize: raw => normalizeJob(raw, 'Hirist.tech')
+};
@@ -0,0 +1,191 @@
+const { openSearchPage, sleep } = require('./browser');
+const { acquirePage } = require('./browserPool');
+const { createRecorder } = require('./artifacts');
+const { withRetry } = require('./retry');
+const { normalizeDetail } = require('./normalize');
+
+// Minimum gap between two detail page visits on the same source
+const DETAIL_DELAY_MS = parseInt(process.env.ENRICH_DELAY_MS, 10) || 5000;
+
+// A source adapter is a plain object:
+//   name, label      registry key and the value stored in jobs.source
+//   filters          crawl params the source understands (experience, minExp, maxExp, pages)
+//   maxPages         default and upper bound for the pages filter
+//   buildSearchUrl(params, pageNumber)
+//   paginate(page, params, pageNumber, run)   optional; resolves false when there are no more pages.
+//                    Opens pageNumber directly: a failed page is retried and a
+//                    resumed crawl starts partway through
+//   extract(page)    raw job cards on the current page
+//   normalize(raw)   job object for saveJobs, or null to drop the card
+//   userAgent()      optional
+//   extractDetail(page)  optional; raw fields from a job's own page, used for enrichment
+//   detailDelayMs    optional; overrides ENRICH_DELAY_MS for this source
+const registry = new Map();
+// Per source: promise that resolves when the next detail visit may start
+const detailSlots = new Map();
+
+function registerSource(adapter) {
+  for (const hook of ['buildSearchUrl', 'extract', 'normalize']) {
+    if (typeof adapter[hook] !== 'function') {
+      throw new Error(`Source "${adapter.name}" is missing ${hook}()`);
+    }
+  }
+  registry.set(adapter.name, adapter);
+}
+
+function getSource(name) {
+  return registry.get(String(name).toLowerCase()) || null;
+}
+
+function listSources() {
+  return Array.from(registry.values()).map(adapter => ({
+    name: adapter.name,
+    label: adapter.label,
+    filters: adapter.filters,
+    maxPages: adapter.maxPages,
+    enrichable: typeof adapter.extractDetail === 'function'
+  }));
+}
+
+function resolveMaxPages(adapter, pages) {
+  const requested = parseInt(pages, 10);
+  if (!adapter.filters.includes('pages') || !requested || requested < 1) return adapter.maxPages;
+  return Math.min(requested, adapter.maxPages);
+}
+
+// Crawls a source's result pages from run.startPage (default 1). Each page
+// is retried on timeouts, network errors and rate limits, then its jobs are
+// handed to run.onPage(pageNumber, jobs) before the next page is loaded, so
+// they are saved even when a later page fails. Resolves to { jobs, stopReason }
+// (no_results or max_pages); the error a failed crawl throws carries its kind
+// (see retry.js) and the page it failed on.
+async function crawlSource(name, params, run = {}) {
+  const adapter = getSource(name);
+  if (!adapter) {
+    throw new Error(`Unknown source "${name}"`);
+  }
+
+  const maxPages = resolveMaxPages(adapter, params.pages);
+  const { page, release } = await acquirePage({
+    userAgent: adapter.userAgent?.(),
+    signal: run.signal
+  });
+
+  // Closing the context on cancel interrupts whatever navigation is in flight
+  const onAbort = () => release();
+  run.signal?.addEventListener('abort', onAbort, { once: true });
+
+  // Debug captures, when the run asked for them (run.debug) or CRAWL_DEBUG is set
+  const recorder = createRecorder(page, { runId: run.runId, source: adapter.name, mode: run.debug });
+  const startPage = run.startPage || 1;
+  let pageNumber = 0;
+
+  try {
+    console.log(`Scraping ${adapter.label} for ${params.role} in ${params.location}...`);
+    let allJobs = [];
+    let stopReason = 'max_pages';
+
+    for (pageNumber = startPage; pageNumber <= maxPages; pageNumber++) {
+      run.signal?.throwIfAborted();
+      console.log(`Processing page ${pageNumber}/${maxPages}...`);
+
+      const pageJobs = await withRetry(async () => {
+        const hasPage = adapter.paginate
+          ? await adapter.paginate(page, params, pageNumber, run)
+          : await openSearchPage(page, adapter.buildSearchUrl(params, pageNumber)).then(() => true);
+        if (!hasPage) return null;
+
+        return (await adapter.extract(page))
+          .map(raw => adapter.normalize(raw))
+          .filter(Boolean);
+      }, { label: `${adapter.label} page ${pageNumber}`, signal: run.signal });
+      if (!pageJobs) {
+        stopReason = 'no_results';
+        break;
+      }
+
+      // An empty first page usually means the layout changed, so it counts as a failure
+      if (recorder.mode === 'always' || (pageJobs.length === 0 && pageNumber === startPage)) {
+        await recorder.capture(pageJobs.length === 0 ? `page-${pageNumber}-empty` : `page-${pageNumber}`);
+      }
+
+      if (pageJobs.length === 0) {
+        console.log('No jobs found on this page');
+        stopReason = 'no_results';
+        break;
+      }
+
+      allJobs = [...allJobs, ...pageJobs];
+      console.log(`Found ${pageJobs.length} jobs on page ${pageNumber}`);
+      await run.onPage?.(pageNumber, pageJobs);
+    }
+
+    console.log(`Total jobs found from ${adapter.label}: ${allJobs.length}`);
+    return { jobs: allJobs, stopReason };
+  } catch (error) {
+    console.error(`${adapter.label} scraping failed on page ${pageNumber}:`, error);
+    error.page = pageNumber;
+    if (!run.signal?.aborted) await recorder.capture(`page-${pageNumber}-failed`, error);
+    throw error;
+  } finally {
+    recorder.stop();
+    run.signal?.removeEventListener('abort', onAbort);
+    await release();
+  }
+}
+
+// Spaces detail visit starts on one source at least the source's delay
+// apart, however many callers are enriching at once
+function waitForDetailSlot(adapter) {
+  const delay = adapter.detailDelayMs || DETAIL_DELAY_MS;
+  const turn = detailSlots.get(adapter.name) || Promise.resolve();
+  detailSlots.set(adapter.name, turn.then(() => sleep(delay)));
+  return turn;
+}
+
+function unsupportedError(message) {
+  const error = new Error(message);
+  error.unsupported = true;
+  return error;
+}
+
+// Visits a job's detail page and returns the normalized detail fields. Jobs
+// from a source without detail pages (imported rows, say) fail before any
+// visit with an error marked `unsupported`.
+async function fetchJobDetail(name, link, { signal } = {}) {
+  const adapter = getSource(name);
+  if (!adapter) {
+    throw unsupportedError(`Unknown source "${name}"`);
+  }
+  if (typeof adapter.extractDetail !== 'function') {
+    throw unsupportedError(`${adapter.label} does not support detail enrichment`);
+  }
+
+  await waitForDetailSlot(adapter);
+  signal?.throwIfAborted();
+
+  const { page, release } = await acquirePage({
+    userAgent: adapter.userAgent?.(),
+    signal
+  });
+
+  try {
+    await openSearchPage(page, link);
+    return normalizeDetail(await adapter.extractDetail(page));
+  } finally {
+    await release();
+  }
+}
+
+registerSource(require('./naukri'));
+registerSource(require('./shine'));
+registerSource(require('./hirist'));
+registerSource(require('./linkedin'));
+
+module.exports = {
+  registerSource,
+  getSource,
+  listSources,
+  crawlSource,
+  fetchJobDetail
+};
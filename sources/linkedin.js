@@ -0,0 +1,102 @@
+const { openSearchPage, autoScroll } = require('./browser');
+const { normalizeJob } = require('./normalize');
+const { getSection, extractFields, anySelector } = require('./selectors');
+const { crawlError } = require('./retry');
+
+// The guest search pages by result offset
+const RESULTS_PER_PAGE = 25;
+
+function buildSearchUrl({ role, location, experience }, pageNumber = 1) {
+  const searchParams = new URLSearchParams();
+  searchParams.set('keywords', role);
+  searchParams.set('location', location);
+  if (experience) {
+    searchParams.set('f_E', experience); // Experience filter
+  }
+  searchParams.set('f_TPR', 'r86400'); // Past 24 hours
+  searchParams.set('f_WT', '2'); // On-site/remote filter
+  if (pageNumber > 1) {
+    searchParams.set('start', (pageNumber - 1) * RESULTS_PER_PAGE);
+  }
+
+  return `https://www.linkedin.com/jobs/search?${searchParams.toString()}`;
+}
+
+// Each page is opened by its offset, so a failed page can be retried or a
+// crawl resumed without clicking through the earlier ones
+async function paginate(page, params, pageNumber) {
+  await openSearchPage(page, buildSearchUrl(params, pageNumber));
+
+  // Wait for jobs, the "no results" page past the last one, or LinkedIn's error toast
+  const { card, noResults } = getSection('linkedin', 'search');
+  await page.waitForSelector(anySelector([...card, ...noResults, '.artdeco-toast-item']), { timeout: 30000 });
+
+  if (await page.$('.artdeco-toast-item')) {
+    throw crawlError('rate_limited', `LinkedIn showed an error toast on page ${pageNumber}`);
+  }
+  if (!await page.$(anySelector(card))) {
+    console.log('No more pages available');
+    return false;
+  }
+
+  // Scroll to load all jobs on current page
+  await autoScroll(page);
+  return true;
+}
+
+async function extract(page) {
+  const cards = await extractFields(page, 'linkedin', 'search');
+  return cards.map(card => ({
+    title: card.title || 'N/A',
+    company: card.company || 'N/A',
+    experience: 'N/A', // LinkedIn doesn't show this in list view
+    location: card.location || 'N/A',
+    skills: [], // Would need detail page visit
+    salary: 'Not specified', // Would need detail page visit
+    link: card.link || '#',
+    // Relative text like "2 weeks ago"; the datetime attribute, when
+    // present, is an exact YYYY-MM-DD and is preferred by normalizeJob
+    postedDate: card.postedDate || 'N/A',
+    postedDateTime: card.postedDateTime
+  }));
+}
+
+// External apply links are embedded as a quoted URL in an HTML comment,
+// wrapped in a LinkedIn redirect that carries the target in ?url=
+function unwrapApplyUrl(embedded) {
+  if (!embedded) return null;
+  try {
+    const redirect = new URL(embedded);
+    return redirect.searchParams.get('url') || redirect.toString();
+  } catch (e) {
+    return null;
+  }
+}
+
+async function extractDetail(page) {
+  await page.waitForSelector(anySelector(getSection('linkedin', 'detail').waitFor), { timeout: 15000 });
+
+  const [detail] = await extractFields(page, 'linkedin', 'detail');
+  return {
+    description: detail.description,
+    skills: [], // No skills section on the public page; taken from the description
+    employmentType: detail.employmentType,
+    salary: detail.salary,
+    experience: null, // Only a seniority level ("Mid-Senior level"), not years
+    applyUrl: unwrapApplyUrl(detail.applyUrl)
+  };
+}
+
+module.exports = {
+  name: 'linkedin',
+  label: 'LinkedIn',
+  filters: ['experience', 'pages'],
+  maxPages: 5,
+  buildSearchUrl,
+  paginate,
+  extract,
+  extractDetail,
+  // LinkedIn rate limits anonymous job views aggressively
+  detailDelayMs: 15000,
+  normalize: raw => normalizeJob(raw, 'LinkedIn')
+};
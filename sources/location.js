@@ -0,0 +1,136 @@
+const gazetteer = require('./gazetteer.json');
+
+const WORK_MODES = ['remote', 'hybrid', 'onsite'];
+
+// Checked in order; "Hybrid - Remote friendly" is hybrid
+const WORK_MODE_PATTERNS = [
+  { mode: 'hybrid', pattern: /\bhybrid\b/gi },
+  { mode: 'remote', pattern: /\b(fully remote|remote|work from home|wfh|anywhere)\b/gi },
+  { mode: 'onsite', pattern: /\b(on[- ]?site|in[- ]office|work from office|wfo)\b/gi }
+];
+
+// Longest run of words tried against the gazetteer ("greater noida")
+const MAX_PHRASE_WORDS = 4;
+
+const EARTH_RADIUS_KM = 6371;
+
+function placeKey(value) {
+  return String(value || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+const CITIES = gazetteer.cities.map(({ aliases, ...city }) => city);
+
+const CITY_BY_KEY = new Map();
+for (const [index, city] of gazetteer.cities.entries()) {
+  for (const name of [city.name, ...city.aliases]) {
+    CITY_BY_KEY.set(placeKey(name), CITIES[index]);
+  }
+}
+
+const REGION_BY_KEY = new Map(
+  Object.entries(gazetteer.regions).map(([name, region]) => [placeKey(name), region])
+);
+
+// The gazetteer city for a name or alias ("Bangalore" -> Bengaluru), or null
+function findCity(name) {
+  return CITY_BY_KEY.get(placeKey(name)) || null;
+}
+
+// Matches the gazetteer names inside one piece of a location string,
+// longest phrase first, so "Bengaluru East" finds Bengaluru and
+// "Pune Maharashtra" finds Pune and Maharashtra.
+function matchPlaces(part) {
+  const words = placeKey(part).split(' ').filter(Boolean);
+  const cities = [];
+  const regions = [];
+
+  let i = 0;
+  while (i < words.length) {
+    let matched = 0;
+    for (let length = Math.min(MAX_PHRASE_WORDS, words.length - i); length > 0; length--) {
+      const phrase = words.slice(i, i + length).join(' ');
+      if (CITY_BY_KEY.has(phrase)) {
+        cities.push(CITY_BY_KEY.get(phrase));
+      } else if (REGION_BY_KEY.has(phrase)) {
+        regions.push(REGION_BY_KEY.get(phrase));
+      } else {
+        continue;
+      }
+      matched = length;
+      break;
+    }
+    i += matched || 1;
+  }
+  return { cities, regions };
+}
+
+// "Bangalore, Karnataka, India", "Hybrid - Pune", "Chennai, Hyderabad, Pune",
+// "Mumbai (All Areas)", "Remote, India" -> { cities, region, workMode }.
+// cities are gazetteer entries in listing order without repeats; region is
+// the state or country named when no city is. A posting that names a city
+// and no work mode is taken to be on-site.
+function parseLocation(text) {
+  const value = String(text || '');
+  let workMode = null;
+  let rest = value;
+  for (const { mode, pattern } of WORK_MODE_PATTERNS) {
+    if (!workMode && pattern.test(value)) workMode = mode;
+    pattern.lastIndex = 0;
+    rest = rest.replace(pattern, ' ');
+  }
+  rest = rest.replace(/\ball areas\b/gi, ' ');
+
+  const cities = [];
+  const regions = [];
+  for (const part of rest.split(/[,;|/()[\]&+]|\s[-–]\s|\sand\s|\sor\s/i)) {
+    const found = matchPlaces(part);
+    for (const city of found.cities) {
+      if (!cities.includes(city)) cities.push(city);
+    }
+    regions.push(...found.regions);
+  }
+
+  return {
+    cities,
+    region: cities.length === 0 ? regions.find(region => region.state) || regions[0] || null : null,
+    workMode: workMode || (cities.length > 0 ? 'onsite' : null)
+  };
+}
+
+// The structured jobs columns for a location string. city/state/country
+// describe the first city listed; cities holds every one.
+function locationColumns(text) {
+  const { cities, region, workMode } = parseLocation(text);
+  const primary = cities[0] || region || {};
+  return {
+    city: primary.name || null,
+    state: primary.state || null,
+    country: primary.country || null,
+    cities: cities.map(city => city.name),
+    work_mode: workMode
+  };
+}
+
+function distanceKm(a, b) {
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const dLat = toRadians(b.lat - a.lat);
+  const dLon = toRadians(b.lon - a.lon);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+}
+
+// Names of the gazetteer cities within radiusKm of the given one, itself
+// included. Jobs only ever carry gazetteer cities, so a radius search is a
+// match on any of these.
+function citiesNear(city, radiusKm) {
+  return CITIES.filter(other => distanceKm(city, other) <= radiusKm).map(other => other.name);
+}
+
+module.exports = {
+  WORK_MODES,
+  findCity,
+  parseLocation,
+  locationColumns,
+  citiesNear
+};
@@ -0,0 +1,81 @@
+const { openSearchPage } = require('./browser');
+const { normalizeJob } = require('./normalize');
+const { getSection, extractFields, anySelector } = require('./selectors');
+
+function slugify(value) {
+  return value.toLowerCase().replace(/\s+/g, '-');
+}
+
+function buildSearchUrl({ role, location, experience }, pageNumber = 1) {
+  let url = `https://www.naukri.com/${slugify(role)}-jobs-in-${slugify(location)}`;
+  if (pageNumber > 1) url += `-${pageNumber}`;
+  if (experience) url += `?experience=${encodeURIComponent(experience)}`;
+  return url;
+}
+
+// Failures throw and are retried by crawlSource, so this must be safe to run
+// again for the same page
+async function paginate(page, params, pageNumber) {
+  await openSearchPage(page, buildSearchUrl(params, pageNumber), 'networkidle2');
+
+  // Handle popups
+  if (pageNumber === 1) {
+    try {
+      await page.click('span[class*="crossIcon"]', { timeout: 5000 });
+      console.log('Closed popup');
+    } catch (e) {
+      console.log('No popup found');
+    }
+  }
+
+  // Wait for either jobs to load or the "no results" page past the last one
+  const { card, noResults } = getSection('naukri', 'search');
+  await page.waitForSelector(anySelector([...card, ...noResults]), { timeout: 30000 });
+
+  if (await page.$(anySelector(noResults))) {
+    console.log(`No more pages found after page ${pageNumber - 1}`);
+    return false;
+  }
+  return true;
+}
+
+async function extract(page) {
+  const cards = await extractFields(page, 'naukri', 'search');
+  return cards.map(card => ({
+    title: card.title || 'N/A',
+    company: card.company || 'N/A',
+    experience: card.experience || 'N/A',
+    location: card.location || 'N/A',
+    skills: card.skills,
+    link: card.link || '#',
+    // Raw text like "3 Days Ago"; parsed on the server by parsePostedDate
+    postedDate: card.postedDate || 'N/A'
+  }));
+}
+
+async function extractDetail(page) {
+  await page.waitForSelector(anySelector(getSection('naukri', 'detail').waitFor), { timeout: 15000 });
+
+  const [detail] = await extractFields(page, 'naukri', 'detail');
+  return {
+    description: detail.description,
+    skills: detail.skills,
+    // "Employment Type: Full Time, Permanent"
+    employmentType: detail.employmentType,
+    salary: detail.salary,
+    experience: detail.experience,
+    applyUrl: detail.applyUrl
+  };
+}
+
+module.exports = {
+  name: 'naukri',
+  label: 'Naukri',
+  filters: ['experience', 'pages'],
+  maxPages: 10,
+  buildSearchUrl,
+  paginate,
+  extract,
+  extractDetail,
+  normalize: raw => normalizeJob(raw, 'Naukri')
+};
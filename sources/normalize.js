@@ -0,0 +1,139 @@
+const { parsePostedDate } = require('./postedDate');
+
+// Query parameters job boards add for click tracking; they make the same
+// posting look like a different link
+const TRACKING_PARAMS = [
+  'trk', 'trkinfo', 'trackingid', 'refid', 'position', 'pagenum', 'lipi', 'originalsubdomain',
+  'src', 'sid', 'xid', 'xp', 'px', 'ref', 'referrer', 'fbclid', 'gclid', 'msclkid', 'searchid'
+];
+
+function cleanText(value) {
+  return typeof value === 'string' ? value.replace(/\s+/g, ' ').trim() : '';
+}
+
+// Canonical form of a job link: tracking parameters, fragments and trailing
+// slashes removed, host lowercased, and LinkedIn country subdomains folded
+// into www so the same posting always maps to the same link.
+function canonicalizeUrl(link) {
+  let url;
+  try {
+    url = new URL(link);
+  } catch (error) {
+    return link;
+  }
+
+  url.hash = '';
+  url.hostname = url.hostname.toLowerCase();
+
+  if (url.hostname.endsWith('linkedin.com')) {
+    url.hostname = 'www.linkedin.com';
+    // /jobs/view/<slug>-<id> and /jobs/view/<id> are the same posting
+    const jobId = url.pathname.match(/\/jobs\/view\/(?:.*-)?(\d+)\/?$/);
+    if (jobId) {
+      url.pathname = `/jobs/view/${jobId[1]}`;
+      url.search = '';
+    }
+  }
+
+  for (const key of Array.from(url.searchParams.keys())) {
+    const lower = key.toLowerCase();
+    if (lower.startsWith('utm_') || TRACKING_PARAMS.includes(lower)) {
+      url.searchParams.delete(key);
+    }
+  }
+  url.searchParams.sort();
+
+  if (url.pathname.length > 1) {
+    url.pathname = url.pathname.replace(/\/+$/, '');
+  }
+
+  return url.toString();
+}
+
+// Shapes a raw extracted card into the job object saveJobs expects.
+// Cards without a usable link can't be deduplicated, so they are dropped.
+function normalizeJob(raw, source, now = new Date()) {
+  if (!raw || !raw.link || raw.link === '#') return null;
+
+  const postedDateOriginal = cleanText(raw.postedDate) || 'N/A';
+  const postedAt = parsePostedDate(raw.postedDateTime, now) || parsePostedDate(postedDateOriginal, now);
+
+  return {
+    title: cleanText(raw.title) || 'N/A',
+    company: cleanText(raw.company) || 'N/A',
+    experience: cleanText(raw.experience) || 'N/A',
+    location: cleanText(raw.location) || 'N/A',
+    skills: Array.isArray(raw.skills) ? raw.skills.map(cleanText).filter(Boolean) : [],
+    salary: cleanText(raw.salary) || 'Not specified',
+    link: canonicalizeUrl(raw.link),
+    source,
+    postedAt,
+    postedDateOriginal,
+    scrapedDate: now.toISOString()
+  };
+}
+
+// Skills looked for in descriptions when a page has no skills section.
+// Matched case-insensitively as whole words, except the ones that are also
+// everyday English words ("rest", "excel", "express").
+const KNOWN_SKILLS = [
+  'JavaScript', 'TypeScript', 'Node.js', 'React', 'Angular', 'Vue.js', 'Next.js', 'Express',
+  'Python', 'Django', 'Flask', 'FastAPI', 'Java', 'Spring Boot', 'Kotlin', 'Scala',
+  'Golang', 'Rust', 'C++', 'C#', '.NET', 'PHP', 'Laravel', 'Ruby', 'Rails', 'Swift',
+  'SQL', 'PostgreSQL', 'MySQL', 'MongoDB', 'Redis', 'Elasticsearch', 'Kafka', 'RabbitMQ',
+  'AWS', 'Azure', 'GCP', 'Docker', 'Kubernetes', 'Terraform', 'Jenkins', 'CI/CD', 'Linux',
+  'GraphQL', 'REST', 'Microservices', 'HTML', 'CSS', 'Tailwind', 'Redux', 'Git',
+  'Machine Learning', 'Deep Learning', 'TensorFlow', 'PyTorch', 'Pandas', 'Spark', 'Hadoop',
+  'Airflow', 'Snowflake', 'Power BI', 'Tableau', 'Excel', 'Selenium', 'Cypress', 'Jest'
+];
+
+const CASE_SENSITIVE_SKILLS = ['REST', 'Excel', 'Express', 'Swift', 'Spark', 'Rails', 'Git'];
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+const SKILL_PATTERNS = KNOWN_SKILLS.map(skill => ({
+  skill,
+  // \b doesn't work next to symbols like "C++" or ".NET"
+  pattern: new RegExp(
+    `(^|[^A-Za-z0-9])${escapeRegExp(skill)}(?![A-Za-z0-9+#])`,
+    CASE_SENSITIVE_SKILLS.includes(skill) ? '' : 'i'
+  )
+}));
+
+function extractSkills(text) {
+  if (!text) return [];
+  return SKILL_PATTERNS.filter(({ pattern }) => pattern.test(text)).map(({ skill }) => skill);
+}
+
+function cleanUrl(value) {
+  if (typeof value !== 'string' || !/^https?:\/\//i.test(value.trim())) return null;
+  return canonicalizeUrl(value.trim());
+}
+
+// Shapes the raw fields an adapter's extractDetail returns. Missing fields
+// come back null (or [] for skills) so callers can tell them from real values.
+function normalizeDetail(raw = {}) {
+  const description = typeof raw.description === 'string'
+    ? raw.description.replace(/[ \t]+/g, ' ').replace(/ ?\n ?/g, '\n').replace(/\n{3,}/g, '\n\n').trim()
+    : '';
+  const skills = Array.isArray(raw.skills) ? raw.skills.map(cleanText).filter(Boolean) : [];
+
+  return {
+    description: description || null,
+    skills: skills.length > 0 ? skills : extractSkills(description),
+    employmentType: cleanText(raw.employmentType) || null,
+    salary: cleanText(raw.salary) || null,
+    experience: cleanText(raw.experience) || null,
+    applyUrl: cleanUrl(raw.applyUrl)
+  };
+}
+
+module.exports = {
+  cleanText,
+  canonicalizeUrl,
+  normalizeJob,
+  extractSkills,
+  normalizeDetail
+};
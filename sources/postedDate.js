@@ -0,0 +1,87 @@
+const UNIT_MS = {
+  second: 1000,
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000
+};
+
+const UNIT_ALIASES = {
+  s: 'second', sec: 'second', secs: 'second', second: 'second', seconds: 'second',
+  m: 'minute', min: 'minute', mins: 'minute', minute: 'minute', minutes: 'minute',
+  h: 'hour', hr: 'hour', hrs: 'hour', hour: 'hour', hours: 'hour',
+  d: 'day', day: 'day', days: 'day',
+  w: 'week', wk: 'week', wks: 'week', week: 'week', weeks: 'week',
+  mo: 'month', mos: 'month', month: 'month', months: 'month',
+  y: 'year', yr: 'year', yrs: 'year', year: 'year', years: 'year'
+};
+
+// "few" has no number behind it; these are the values we assume for it
+const FEW = {
+  second: 30,
+  minute: 5,
+  hour: 3,
+  day: 3,
+  week: 2,
+  month: 2,
+  year: 2
+};
+
+function subtract(now, amount, unit) {
+  const date = new Date(now.getTime());
+  if (unit === 'month') {
+    date.setMonth(date.getMonth() - amount);
+  } else if (unit === 'year') {
+    date.setFullYear(date.getFullYear() - amount);
+  } else {
+    date.setTime(date.getTime() - amount * UNIT_MS[unit]);
+  }
+  return date;
+}
+
+// Turns whatever a job board shows as the posting date ("3 Days Ago",
+// "Posted few hours ago", "30+ days", "Just now", "2025-07-10", an ISO
+// timestamp) into a Date relative to `now`. Returns null when the text
+// carries no date. Open-ended values like "30+ days" resolve to their lower bound.
+function parsePostedDate(text, now = new Date()) {
+  if (text instanceof Date) return isNaN(text.getTime()) ? null : text;
+  if (typeof text !== 'string') return null;
+
+  const value = text.toLowerCase()
+    .replace(/\b(re)?posted\b|\bactive\b|\bago\b|\bon\b|:/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  if (!value || value === 'n/a' || value === 'na') return null;
+
+  // Absolute dates: ISO timestamps, YYYY-MM-DD, "10 Jul 2025", "Jul 10, 2025"
+  if (/^\d{4}-\d{2}-\d{2}/.test(value) || /\b\d{4}\b/.test(value)) {
+    const date = new Date(text.trim().replace(/^(re)?posted\s*(on)?\s*:?\s*/i, ''));
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  if (/^(just now|now|moments?|a moment|few seconds|a few seconds)$/.test(value)) return new Date(now.getTime());
+  if (value === 'today') return new Date(now.getTime());
+  if (value === 'yesterday') return subtract(now, 1, 'day');
+
+  const match = value.match(/^(\d+|a few|few|an?)\s*\+?\s*([a-z]+)/);
+  if (!match) return null;
+
+  const unit = UNIT_ALIASES[match[2]];
+  if (!unit) return null;
+
+  let amount;
+  if (/few/.test(match[1])) {
+    amount = FEW[unit];
+  } else if (match[1] === 'a' || match[1] === 'an') {
+    amount = 1;
+  } else {
+    amount = parseInt(match[1], 10);
+  }
+
+  return subtract(now, amount, unit);
+}
+
+module.exports = {
+  parsePostedDate
+};
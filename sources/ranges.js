@@ -0,0 +1,109 @@
+const CURRENCIES = [
+  { pattern: /₹|\brs\.?|\binr\b/, code: 'INR' },
+  { pattern: /\$|\busd\b/, code: 'USD' },
+  { pattern: /€|\beur\b/, code: 'EUR' },
+  { pattern: /£|\bgbp\b/, code: 'GBP' }
+];
+
+const MULTIPLIERS = [
+  { pattern: /^(cr|crs|crore|crores)$/, value: 10000000 },
+  { pattern: /^(l|lac|lacs|lakh|lakhs|lpa)$/, value: 100000 },
+  { pattern: /^(m|mn|million|millions)$/, value: 1000000 },
+  { pattern: /^(k|thousand)$/, value: 1000 }
+];
+
+const PERIODS = [
+  { pattern: /per\s*hour|\/\s*h(ou)?r\b|hourly|\bp\.?\s?h\.?\b/, period: 'hour' },
+  { pattern: /per\s*month|\/\s*mo(nth)?\b|monthly|\bp\.?\s?m\.?\b/, period: 'month' },
+  { pattern: /per\s*annum|per\s*year|\/\s*y(ea)?r\b|annual|yearly|\bp\.?\s?a\.?\b|\blpa\b/, period: 'year' }
+];
+
+// Salaries are stored in the period they were advertised in; SQL that
+// compares them multiplies by this to get yearly amounts
+const ANNUAL_SALARY_FACTOR = `CASE salary_period WHEN 'month' THEN 12 WHEN 'hour' THEN 2080 ELSE 1 END`;
+
+function toNumber(value) {
+  return parseFloat(value.replace(/,/g, ''));
+}
+
+// "2-5 Yrs", "3 to 6 Yrs", "4 - 8 yrs", "5+ years", "Fresher", "6 months"
+// -> { min, max } in years. Open-ended ranges have max = null.
+function parseExperience(text) {
+  const empty = { min: null, max: null };
+  if (typeof text !== 'string') return empty;
+
+  const value = text.toLowerCase().trim();
+  if (!value || value === 'n/a') return empty;
+  if (/fresher|entry level|no experience/.test(value)) return { min: 0, max: 0 };
+
+  // Anything beyond a working lifetime is a misread number (a year, a count)
+  const plausible = range => (range.min === null || range.min <= 60) && (range.max === null || range.max <= 60) ? range : empty;
+
+  const scale = /month|mos?\b/.test(value) && !/y(ea)?rs?\b/.test(value) ? 1 / 12 : 1;
+  const range = value.match(/(\d+(?:\.\d+)?)\s*(?:-|–|to)\s*(\d+(?:\.\d+)?)/);
+  if (range) {
+    return plausible({ min: toNumber(range[1]) * scale, max: toNumber(range[2]) * scale });
+  }
+
+  const single = value.match(/(\d+(?:\.\d+)?)\s*(\+)?/);
+  if (!single) return empty;
+
+  const amount = toNumber(single[1]) * scale;
+  if (single[2] || /min(imum)?|at least|above|more than/.test(value)) {
+    return plausible({ min: amount, max: null });
+  }
+  return plausible({ min: amount, max: amount });
+}
+
+function multiplierFor(unit) {
+  if (!unit) return null;
+  const match = MULTIPLIERS.find(m => m.pattern.test(unit));
+  return match ? match.value : null;
+}
+
+// "₹ 6-10 Lacs P.A.", "3.5 - 6 LPA", "₹ 25,000 - 40,000 per month", "$100k - $120k"
+// -> { min, max, currency, period } with amounts in whole currency units.
+// An upper bound alone ("Up to 50 Lacs") has min = null. Undisclosed or
+// unparseable salaries come back with every field null.
+function parseSalary(text) {
+  const empty = { min: null, max: null, currency: null, period: null };
+  if (typeof text !== 'string') return empty;
+
+  const value = text.toLowerCase().replace(/\s+/g, ' ').trim();
+  if (!value || /not (disclosed|specified|mentioned)|undisclosed|competitive|negotiable|best in/.test(value)) {
+    return empty;
+  }
+
+  const amounts = [];
+  const pattern = /(\d+(?:[.,]\d+)*)\s*(crores?|crs?|lakhs?|lacs?|lpa|l|millions?|mn|m|k|thousand)?\b/g;
+  let match;
+  while ((match = pattern.exec(value)) !== null && amounts.length < 2) {
+    amounts.push({ amount: toNumber(match[1]), unit: match[2] });
+  }
+  if (amounts.length === 0) return empty;
+
+  // "6-10 Lacs": the trailing unit applies to both ends of the range
+  const sharedMultiplier = multiplierFor(amounts[amounts.length - 1].unit) || 1;
+  const [min, max] = amounts.map(({ amount, unit }) => Math.round(amount * (multiplierFor(unit) || sharedMultiplier)));
+
+  const currency = (CURRENCIES.find(c => c.pattern.test(value)) || { code: 'INR' }).code;
+  const periodMatch = PERIODS.find(p => p.pattern.test(value));
+  const period = periodMatch ? periodMatch.period : 'year';
+
+  if (max === undefined && /\bup ?to\b|\bmax(imum)?\b|\btill\b/.test(value)) {
+    return { min: null, max: min, currency, period };
+  }
+
+  return {
+    min,
+    max: max !== undefined ? max : min,
+    currency,
+    period
+  };
+}
+
+module.exports = {
+  ANNUAL_SALARY_FACTOR,
+  parseExperience,
+  parseSalary
+};
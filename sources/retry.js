@@ -0,0 +1,79 @@
+// Retry policy for page loads and selector waits during a crawl
+const RETRY_ATTEMPTS = parseInt(process.env.CRAWL_RETRY_ATTEMPTS, 10) || 3;
+const RETRY_BASE_MS = parseInt(process.env.CRAWL_RETRY_BASE_MS, 10) || 2000;
+const RETRY_MAX_MS = parseInt(process.env.CRAWL_RETRY_MAX_MS, 10) || 60000;
+// Rate limits need a longer pause than a flaky load
+const RATE_LIMIT_FACTOR = 5;
+
+// timeout      navigation or selector wait ran out of time
+// network      connection-level failure (net::ERR_*)
+// rate_limited the site asked us to slow down (429, LinkedIn's toast)
+// blocked      captcha, bot wall or 403; retrying soon won't help
+// no_results   the search has nothing (more) to show
+// unknown      anything else
+const ERROR_KINDS = ['timeout', 'network', 'rate_limited', 'blocked', 'no_results', 'unknown'];
+const RETRYABLE_KINDS = ['timeout', 'network', 'rate_limited'];
+
+function crawlError(kind, message) {
+  const error = new Error(message);
+  error.kind = kind;
+  return error;
+}
+
+function classifyError(error) {
+  if (ERROR_KINDS.includes(error?.kind)) return error.kind;
+  const message = error?.message || '';
+  if (error?.name === 'TimeoutError' || /timed? ?out/i.test(message)) return 'timeout';
+  if (/net::ERR_|ECONNRESET|ECONNREFUSED|socket hang up/i.test(message)) return 'network';
+  return 'unknown';
+}
+
+// Full jitter: anywhere between zero and the exponential cap, so sources
+// retrying together don't hit the site in lockstep
+function backoffDelay(attempt, kind) {
+  const base = kind === 'rate_limited' ? RETRY_BASE_MS * RATE_LIMIT_FACTOR : RETRY_BASE_MS;
+  return Math.round(Math.random() * Math.min(RETRY_MAX_MS, base * 2 ** (attempt - 1)));
+}
+
+function sleepUnlessAborted(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// Calls fn until it succeeds, fails with a non-retryable error or runs out of
+// attempts. The error that ends it carries its kind and the attempts made.
+async function withRetry(fn, { label = 'operation', signal, attempts = RETRY_ATTEMPTS } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (signal?.aborted) throw error;
+
+      const kind = classifyError(error);
+      error.kind = kind;
+      error.attempts = attempt;
+      if (!RETRYABLE_KINDS.includes(kind) || attempt >= attempts) throw error;
+
+      const delay = backoffDelay(attempt, kind);
+      console.warn(`${label} failed (${kind}, attempt ${attempt}/${attempts}): ${error.message}; retrying in ${delay}ms`);
+      await sleepUnlessAborted(delay, signal);
+    }
+  }
+}
+
+module.exports = {
+  ERROR_KINDS,
+  crawlError,
+  classifyError,
+  withRetry
+};
@@ -0,0 +1,249 @@
+const fs = require('fs');
+const path = require('path');
+
+// Per-source CSS selectors, editable without a deploy: change the file and
+// call POST /api/admin/selectors/reload
+const SELECTORS_FILE = process.env.SELECTORS_FILE || path.join(__dirname, 'selectors.json');
+
+// How a matched element is turned into a value
+const READ_MODES = ['text', 'innerText', 'href', 'html'];
+
+// Config shape, per source and section ("search" for result cards, "detail"
+// for a job's own page):
+//   card       ordered selectors for the result cards (search only)
+//   noResults  optional; selectors for a "no jobs found" message
+//   waitFor    optional; selectors to wait for before extracting
+//   fields     field -> { selectors, read, all, closest, label, match }
+// Each field's selectors are tried in order and the first that yields a
+// value wins. read is text (default), innerText, href, html or attr:<name>;
+// all collects every match into a list; closest reads an ancestor of the
+// match instead; label picks the element whose text matches the pattern and
+// reads the one after it; match keeps only values matching the pattern
+// (its first group, if it has one).
+let config = loadConfig();
+let loadedAt = new Date();
+
+// source -> section -> field -> { counts: selector -> matches, misses, lastFallbackAt }
+const stats = new Map();
+
+function checkSelectors(value, where) {
+  if (!Array.isArray(value) || value.length === 0 || !value.every(selector => typeof selector === 'string' && selector.trim())) {
+    throw new Error(`${where} must be a non-empty list of selectors`);
+  }
+}
+
+function checkPattern(value, where) {
+  try {
+    new RegExp(value, 'i');
+  } catch (error) {
+    throw new Error(`${where} is not a valid pattern: ${error.message}`);
+  }
+}
+
+function validateConfig(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error('Selector config must be an object of source -> sections');
+  }
+
+  for (const [source, sections] of Object.entries(value)) {
+    for (const [section, spec] of Object.entries(sections)) {
+      const where = `${source}.${section}`;
+      if (spec.card !== undefined) checkSelectors(spec.card, `${where}.card`);
+      if (spec.noResults !== undefined) checkSelectors(spec.noResults, `${where}.noResults`);
+      if (spec.waitFor !== undefined) checkSelectors(spec.waitFor, `${where}.waitFor`);
+      if (!spec.fields || typeof spec.fields !== 'object') {
+        throw new Error(`${where}.fields is required`);
+      }
+
+      for (const [field, fieldSpec] of Object.entries(spec.fields)) {
+        const fieldWhere = `${where}.fields.${field}`;
+        checkSelectors(fieldSpec.selectors, `${fieldWhere}.selectors`);
+        const read = fieldSpec.read || 'text';
+        if (!READ_MODES.includes(read) && !/^attr:.+/.test(read)) {
+          throw new Error(`${fieldWhere}.read must be one of: ${READ_MODES.join(', ')}, attr:<name>`);
+        }
+        if (fieldSpec.label !== undefined) checkPattern(fieldSpec.label, `${fieldWhere}.label`);
+        if (fieldSpec.match !== undefined) checkPattern(fieldSpec.match, `${fieldWhere}.match`);
+      }
+    }
+  }
+  return value;
+}
+
+function loadConfig() {
+  return validateConfig(JSON.parse(fs.readFileSync(SELECTORS_FILE, 'utf8')));
+}
+
+// Re-reads the selector file. An invalid file throws and the selectors in
+// use stay as they were.
+function reloadSelectors() {
+  config = loadConfig();
+  loadedAt = new Date();
+  console.log(`Reloaded selectors for ${Object.keys(config).join(', ')} from ${SELECTORS_FILE}`);
+  return { file: SELECTORS_FILE, loadedAt, sources: Object.keys(config) };
+}
+
+function getSection(source, section) {
+  const spec = config[source]?.[section];
+  if (!spec) throw new Error(`No ${section} selectors configured for ${source}`);
+  return spec;
+}
+
+// Runs in the page, so it can't use anything from this module. Returns one
+// record per card (or a single record for a page without cards) and, per
+// record, the index of the selector each field was read with (-1: none).
+function collectFields(section) {
+  const query = (root, selector) => {
+    try {
+      return Array.from(root.querySelectorAll(selector));
+    } catch (error) {
+      return [];
+    }
+  };
+
+  const readValue = (element, read) => {
+    if (read === 'innerText') return element.innerText?.trim();
+    if (read === 'href') return element.href;
+    if (read === 'html') return element.innerHTML;
+    if (read.startsWith('attr:')) return element.getAttribute(read.slice(5))?.trim();
+    return element.textContent?.trim();
+  };
+
+  const valueOf = (element, spec) => {
+    let target = element;
+    if (spec.label) {
+      const text = element.textContent.trim();
+      if (text.length >= 40 || !new RegExp(spec.label, 'i').test(text)) return null;
+      target = element.nextElementSibling;
+    }
+    if (target && spec.closest) target = target.closest(spec.closest);
+    if (!target) return null;
+
+    const value = readValue(target, spec.read || 'text');
+    if (!value) return null;
+    if (!spec.match) return value;
+    const match = value.match(new RegExp(spec.match, 'i'));
+    return match ? (match[1] ?? match[0]) : null;
+  };
+
+  const readField = (root, spec) => {
+    for (const [index, selector] of spec.selectors.entries()) {
+      const values = query(root, selector).map(element => valueOf(element, spec)).filter(Boolean);
+      if (values.length > 0) return { value: spec.all ? values : values[0], index };
+    }
+    return { value: spec.all ? [] : null, index: -1 };
+  };
+
+  const readRecord = root => {
+    const record = {};
+    const matched = {};
+    for (const [field, spec] of Object.entries(section.fields)) {
+      const { value, index } = readField(root, spec);
+      record[field] = value;
+      matched[field] = index;
+    }
+    return { record, matched };
+  };
+
+  if (!section.card) {
+    const { record, matched } = readRecord(document);
+    return { cardIndex: -1, records: [record], matched: [matched] };
+  }
+
+  for (const [cardIndex, selector] of section.card.entries()) {
+    const cards = query(document, selector);
+    if (cards.length === 0) continue;
+    const results = cards.map(readRecord);
+    return { cardIndex, records: results.map(r => r.record), matched: results.map(r => r.matched) };
+  }
+  return { cardIndex: -1, records: [], matched: [] };
+}
+
+function fieldStats(source, section, field) {
+  if (!stats.has(source)) stats.set(source, new Map());
+  const sections = stats.get(source);
+  if (!sections.has(section)) sections.set(section, new Map());
+  const fields = sections.get(section);
+  if (!fields.has(field)) fields.set(field, { counts: new Map(), misses: 0, lastFallbackAt: null });
+  return fields.get(field);
+}
+
+function recordMatch(source, section, field, selectors, index) {
+  const entry = fieldStats(source, section, field);
+  if (index === -1) {
+    entry.misses++;
+    return;
+  }
+  // Counted by selector text so edits to the chain don't shift old counts
+  const selector = selectors[index];
+  entry.counts.set(selector, (entry.counts.get(selector) || 0) + 1);
+  if (index > 0) entry.lastFallbackAt = new Date();
+}
+
+// Reads the configured fields from the current page: one record per result
+// card for "search", a single record for "detail". Records which selector
+// each field matched with and logs when fallbacks had to be used.
+async function extractFields(page, source, section) {
+  const spec = getSection(source, section);
+  const { cardIndex, records, matched } = await page.evaluate(collectFields, spec);
+
+  if (spec.card && records.length > 0) {
+    recordMatch(source, section, 'card', spec.card, cardIndex);
+  }
+
+  const fallbacks = new Map();
+  for (const fields of matched) {
+    for (const [field, index] of Object.entries(fields)) {
+      recordMatch(source, section, field, spec.fields[field].selectors, index);
+      if (index > 0) fallbacks.set(field, (fallbacks.get(field) || 0) + 1);
+    }
+  }
+
+  if (cardIndex > 0) {
+    console.warn(`${source} ${section}: cards matched fallback selector "${spec.card[cardIndex]}"`);
+  }
+  for (const [field, count] of fallbacks) {
+    console.warn(`${source} ${section}: ${field} used a fallback selector on ${count} of ${records.length} records`);
+  }
+
+  return records;
+}
+
+// Selector lists joined for waitForSelector / $ ("a, b, c")
+function anySelector(selectors) {
+  return selectors.join(', ');
+}
+
+// Match counts per selector since startup. A field is stale when its
+// primary selector no longer matches but a fallback does.
+function selectorReport() {
+  const report = {};
+  for (const [source, sections] of Object.entries(config)) {
+    report[source] = {};
+    for (const [section, spec] of Object.entries(sections)) {
+      const chains = Object.entries(spec.fields).map(([field, fieldSpec]) => [field, fieldSpec.selectors]);
+      if (spec.card) chains.unshift(['card', spec.card]);
+
+      report[source][section] = Object.fromEntries(chains.map(([field, selectors]) => {
+        const entry = stats.get(source)?.get(section)?.get(field);
+        const counts = selectors.map(selector => ({ selector, matches: entry?.counts.get(selector) || 0 }));
+        const fallbackMatches = counts.slice(1).reduce((sum, { matches }) => sum + matches, 0);
+        return [field, {
+          selectors: counts,
+          misses: entry?.misses || 0,
+          stale: counts[0].matches === 0 && fallbackMatches > 0,
+          lastFallbackAt: entry?.lastFallbackAt || null
+        }];
+      }));
+    }
+  }
+  return { file: SELECTORS_FILE, loadedAt, sources: report };
+}
+
+module.exports = {
+  getSection,
+  extractFields,
+  anySelector,
+  reloadSelectors,
+  selectorReport
+};
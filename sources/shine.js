@@ -0,0 +1,76 @@
+const userAgents = require('user-agents');
+const { openSearchPage, autoScroll } = require('./browser');
+const { normalizeJob } = require('./normalize');
+const { getSection, extractFields, anySelector } = require('./selectors');
+
+function buildSearchUrl({ role, location, experience }, pageNumber = 1) {
+  const searchQuery = role.toLowerCase().replace(/\s+/g, '-');
+  const locationQuery = location.toLowerCase().replace(/\s+/g, '-');
+  const query = new URLSearchParams();
+  if (experience) query.set('exp', experience);
+  if (pageNumber > 1) query.set('page', pageNumber);
+
+  const url = `https://www.shine.com/job-search/${searchQuery}-jobs-in-${locationQuery}`;
+  return query.toString() ? `${url}?${query.toString()}` : url;
+}
+
+async function paginate(page, params, pageNumber) {
+  await openSearchPage(page, buildSearchUrl(params, pageNumber));
+
+  const { card, noResults } = getSection('shine', 'search');
+
+  // Wait for either jobs to load or "no jobs" message; a timeout is retried
+  await page.waitForSelector(anySelector([...card, ...noResults]), { timeout: 15000 });
+
+  const noJobsFound = await page.$(anySelector(noResults));
+  if (noJobsFound) {
+    console.log('No more jobs found');
+    return false;
+  }
+
+  // Scroll to load more jobs (if lazy-loaded)
+  await autoScroll(page);
+  return true;
+}
+
+async function extract(page) {
+  const cards = await extractFields(page, 'shine', 'search');
+  return cards.map(card => ({
+    title: card.title || 'N/A',
+    company: card.company || 'N/A',
+    experience: card.experience || 'N/A',
+    location: card.location || 'N/A',
+    salary: card.salary || 'Not specified',
+    link: card.link || '#',
+    // Parsed on the server by parsePostedDate
+    postedDate: card.postedDate || 'N/A'
+  }));
+}
+
+async function extractDetail(page) {
+  await page.waitForSelector(anySelector(getSection('shine', 'detail').waitFor), { timeout: 15000 });
+
+  const [detail] = await extractFields(page, 'shine', 'detail');
+  return {
+    description: detail.description,
+    skills: detail.skills,
+    // Label/value pairs in the summary block, e.g. "Job Type" -> "Full Time"
+    employmentType: detail.employmentType,
+    salary: detail.salary,
+    experience: detail.experience,
+    applyUrl: null
+  };
+}
+
+module.exports = {
+  name: 'shine',
+  label: 'Shine',
+  filters: ['experience', 'pages'],
+  maxPages: 5,
+  userAgent: () => new userAgents({ deviceCategory: 'desktop' }).toString(),
+  buildSearchUrl,
+  paginate,
+  extract,
+  extractDetail,
+  normalize: raw => normalizeJob(raw, 'Shine')
+};
@@ -0,0 +1,269 @@
+const crypto = require('crypto');
+const { pool } = require('./db');
+const { notify } = require('./notifiers');
+
+const FREQUENCIES = ['instant', 'daily', 'weekly'];
+const TICK_MS = parseInt(process.env.ALERT_DISPATCH_INTERVAL_MS, 10) || 5 * 60 * 1000;
+const DIGEST_LIMIT = parseInt(process.env.ALERT_DIGEST_LIMIT, 10) || 25;
+
+let signingSecret = process.env.UNSUBSCRIBE_SECRET;
+if (!signingSecret) {
+  console.warn('UNSUBSCRIBE_SECRET is not set; unsubscribe links will stop working after a restart');
+  signingSecret = crypto.randomBytes(32).toString('hex');
+}
+
+let timer = null;
+let dispatching = false;
+// Options of a dispatch asked for while another was running; null when none
+let pendingDispatch = null;
+
+// How far back a digest looks for jobs, and when a subscription is next due
+const WINDOWS = {
+  instant: '1 day',
+  daily: '1 day',
+  weekly: '7 days'
+};
+
+const DUE_CONDITION = `
+  active AND (
+    frequency = 'instant'
+    OR (frequency = 'daily' AND (last_sent_at IS NULL OR last_sent_at <= NOW() - INTERVAL '1 day'))
+    OR (frequency = 'weekly' AND (last_sent_at IS NULL OR last_sent_at <= NOW() - INTERVAL '7 days'))
+  )
+`;
+
+function signUnsubscribeToken(id) {
+  return crypto.createHmac('sha256', signingSecret).update(`unsubscribe:${id}`).digest('hex');
+}
+
+function verifyUnsubscribeToken(id, token) {
+  const expected = Buffer.from(signUnsubscribeToken(id));
+  const given = Buffer.from(String(token || ''));
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+function unsubscribeUrl(id) {
+  const baseUrl = process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 5000}`;
+  return `${baseUrl.replace(/\/$/, '')}/api/subscriptions/${id}/unsubscribe?token=${signUnsubscribeToken(id)}`;
+}
+
+function formatSubscription(row) {
+  return {
+    id: row.id,
+    email: row.email,
+    role: row.role,
+    location: row.location,
+    source: row.source,
+    frequency: row.frequency,
+    active: row.active,
+    lastSentAt: row.last_sent_at,
+    unsubscribedAt: row.unsubscribed_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+async function listSubscriptions({ email } = {}) {
+  const result = email
+    ? await pool.query('SELECT * FROM alert_subscriptions WHERE LOWER(email) = LOWER($1) ORDER BY id', [email])
+    : await pool.query('SELECT * FROM alert_subscriptions ORDER BY id');
+  return result.rows.map(formatSubscription);
+}
+
+async function getSubscription(id) {
+  const result = await pool.query('SELECT * FROM alert_subscriptions WHERE id = $1', [id]);
+  return result.rows.length > 0 ? formatSubscription(result.rows[0]) : null;
+}
+
+async function createSubscription({ email, role, location, source, frequency = 'daily' }) {
+  const result = await pool.query(
+    `INSERT INTO alert_subscriptions (email, role, location, source, frequency)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING *`,
+    [email, role, location || null, source || null, frequency]
+  );
+  return formatSubscription(result.rows[0]);
+}
+
+async function updateSubscription(id, fields) {
+  const columns = ['email', 'role', 'location', 'source', 'frequency', 'active'];
+  const assignments = [];
+  const values = [id];
+
+  for (const column of columns) {
+    if (fields[column] !== undefined) {
+      values.push(fields[column]);
+      assignments.push(`${column} = $${values.length}`);
+    }
+  }
+
+  if (fields.active === true) assignments.push('unsubscribed_at = NULL');
+  if (fields.active === false) assignments.push('unsubscribed_at = NOW()');
+  assignments.push('updated_at = NOW()');
+
+  const result = await pool.query(
+    `UPDATE alert_subscriptions SET ${assignments.join(', ')} WHERE id = $1 RETURNING *`,
+    values
+  );
+  return result.rows.length > 0 ? formatSubscription(result.rows[0]) : null;
+}
+
+async function deleteSubscription(id) {
+  const result = await pool.query('DELETE FROM alert_subscriptions WHERE id = $1', [id]);
+  return result.rowCount > 0;
+}
+
+async function unsubscribe(id) {
+  const result = await pool.query(
+    `UPDATE alert_subscriptions
+     SET active = FALSE, unsubscribed_at = COALESCE(unsubscribed_at, NOW()), updated_at = NOW()
+     WHERE id = $1
+     RETURNING *`,
+    [id]
+  );
+  return result.rows.length > 0 ? formatSubscription(result.rows[0]) : null;
+}
+
+// Matching jobs from the subscription's window that it hasn't been sent yet
+async function findPendingJobs(client, subscription) {
+  const queryParams = [subscription.id, `%${subscription.role}%`];
+  let query = `
+    SELECT j.* FROM jobs j
+    WHERE j.created_at >= NOW() - INTERVAL '${WINDOWS[subscription.frequency]}'
+    AND j.canonical_job_id IS NULL
+    AND j.status = 'active'
+    AND j.title ILIKE $2
+    AND NOT EXISTS (
+      SELECT 1 FROM alert_deliveries d
+      WHERE d.subscription_id = $1 AND d.job_id = j.id
+    )
+  `;
+
+  if (subscription.location) {
+    queryParams.push(`%${subscription.location}%`);
+    query += ` AND j.location ILIKE $${queryParams.length}`;
+  }
+
+  if (subscription.source) {
+    queryParams.push(`%${subscription.source}%`);
+    query += ` AND j.source ILIKE $${queryParams.length}`;
+  }
+
+  queryParams.push(DIGEST_LIMIT);
+  query += ` ORDER BY j.created_at DESC LIMIT $${queryParams.length}`;
+
+  const result = await client.query(query, queryParams);
+  return result.rows;
+}
+
+// Sends one subscription its pending jobs. The row stays locked until the
+// deliveries are recorded, so two instances never send the same digest, and
+// a failed send rolls back so those jobs are retried on the next tick.
+async function deliverSubscription(id) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `SELECT * FROM alert_subscriptions WHERE id = $1 AND ${DUE_CONDITION} FOR UPDATE SKIP LOCKED`,
+      [id]
+    );
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return 0;
+    }
+
+    const subscription = result.rows[0];
+    const jobs = await findPendingJobs(client, subscription);
+    if (jobs.length === 0) {
+      await client.query('ROLLBACK');
+      return 0;
+    }
+
+    const { success } = await notify('email', subscription.email, jobs, {
+      unsubscribeUrl: unsubscribeUrl(subscription.id),
+      context: `subscription:${subscription.id}`
+    });
+    if (!success) {
+      await client.query('ROLLBACK');
+      return 0;
+    }
+
+    await client.query(
+      `INSERT INTO alert_deliveries (subscription_id, job_id)
+       SELECT $1, UNNEST($2::int[])
+       ON CONFLICT DO NOTHING`,
+      [subscription.id, jobs.map(job => job.id)]
+    );
+    await client.query('UPDATE alert_subscriptions SET last_sent_at = NOW() WHERE id = $1', [subscription.id]);
+    await client.query('COMMIT');
+
+    console.log(`Sent ${jobs.length} jobs to subscription ${subscription.id}`);
+    return jobs.length;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Delivers every due subscription, optionally only those of one frequency.
+// A call made while a dispatch is running is run once that one ends, so
+// jobs saved in the meantime aren't left waiting for the next tick.
+async function dispatchAlerts({ frequency } = {}) {
+  if (dispatching) {
+    // Requests for different frequencies fold into one pass over all of them
+    pendingDispatch = pendingDispatch && pendingDispatch.frequency !== frequency ? {} : { frequency };
+    return;
+  }
+  dispatching = true;
+
+  try {
+    const queryParams = [];
+    let query = `SELECT id FROM alert_subscriptions WHERE ${DUE_CONDITION}`;
+    if (frequency) {
+      queryParams.push(frequency);
+      query += ` AND frequency = $${queryParams.length}`;
+    }
+
+    const due = await pool.query(`${query} ORDER BY id`, queryParams);
+    for (const { id } of due.rows) {
+      await deliverSubscription(id).catch(error => console.error(`Alert delivery for subscription ${id} failed:`, error));
+    }
+  } catch (error) {
+    console.error('Alert dispatch failed:', error);
+  } finally {
+    dispatching = false;
+  }
+
+  if (pendingDispatch) {
+    const next = pendingDispatch;
+    pendingDispatch = null;
+    await dispatchAlerts(next);
+  }
+}
+
+function startAlertDispatcher() {
+  timer = setInterval(dispatchAlerts, TICK_MS);
+}
+
+function stopAlertDispatcher() {
+  clearInterval(timer);
+  timer = null;
+  pendingDispatch = null;
+}
+
+module.exports = {
+  FREQUENCIES,
+  verifyUnsubscribeToken,
+  listSubscriptions,
+  getSubscription,
+  createSubscription,
+  updateSubscription,
+  deleteSubscription,
+  unsubscribe,
+  dispatchAlerts,
+  startAlertDispatcher,
+  stopAlertDispatcher
+};
@@ -0,0 +1,46 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { mergeDetail } = require('../enrichment');
+
+const job = (overrides = {}) => ({
+  description: null,
+  employment_type: null,
+  apply_url: null,
+  skills: [],
+  salary: 'Not specified',
+  salary_min: null,
+  experience: 'N/A',
+  exp_min: null,
+  ...overrides
+});
+
+const detail = {
+  description: 'Build the platform',
+  employmentType: 'Full Time',
+  applyUrl: 'https://example.com/apply',
+  skills: ['node'],
+  salary: '₹ 8-12 Lacs P.A.',
+  experience: '3-5 Yrs'
+};
+
+describe('mergeDetail', () => {
+  it('fills in salary and experience the card left blank', () => {
+    const fields = mergeDetail(job(), detail);
+    assert.equal(fields.salary, '₹ 8-12 Lacs P.A.');
+    assert.equal(fields.salary_min, 800000);
+    assert.equal(fields.experience, '3-5 Yrs');
+    assert.equal(fields.exp_min, 3);
+  });
+
+  it('keeps an "up to" salary from the card even though it has no lower bound', () => {
+    const fields = mergeDetail(job({ salary: 'Up to 10 LPA', salary_max: 1000000 }), detail);
+    assert.equal('salary' in fields, false);
+    assert.equal('salary_min' in fields, false);
+  });
+
+  it('keeps card text that does not parse to a range', () => {
+    const fields = mergeDetail(job({ salary: 'Competitive', experience: 'Fresher' }), detail);
+    assert.equal('salary' in fields, false);
+    assert.equal('experience' in fields, false);
+  });
+});
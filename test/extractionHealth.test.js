@@ -0,0 +1,66 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { measureExtraction, detectAnomalies } = require('../extractionHealth');
+
+const job = (overrides = {}) => ({
+  title: 'Backend Engineer',
+  company: 'Acme',
+  location: 'Bengaluru',
+  postedDateOriginal: '2 days ago',
+  ...overrides
+});
+
+const baseline = (overrides = {}) => ({
+  runs: 10,
+  naRates: { title: 0, company: 0.05, location: 0.1, postedDate: 0.2 },
+  jobCount: { scope: 'search', runs: 10, median: 40 },
+  ...overrides
+});
+
+describe('extraction health', () => {
+  it('measures the share of jobs missing each field', () => {
+    const metrics = measureExtraction([
+      job(),
+      job({ company: 'N/A', postedDateOriginal: 'N/A' }),
+      job({ postedDateOriginal: 'N/A' }),
+      job({ location: '' })
+    ], 2);
+
+    assert.deepEqual(metrics, {
+      jobsFound: 4,
+      pagesReached: 2,
+      naRates: { title: 0, company: 0.25, location: 0.25, postedDate: 0.5 }
+    });
+  });
+
+  it('has no N/A rates when nothing was extracted', () => {
+    assert.deepEqual(measureExtraction([], 0).naRates, { title: null, company: null, location: null, postedDate: null });
+  });
+
+  it('accepts a run in line with the baseline', () => {
+    const metrics = { jobsFound: 35, pagesReached: 3, naRates: { title: 0, company: 0.1, location: 0.1, postedDate: 0.3 } };
+    assert.deepEqual(detectAnomalies(metrics, baseline()), []);
+  });
+
+  it('flags a run that found no jobs', () => {
+    const anomalies = detectAnomalies(measureExtraction([], 0), baseline());
+    assert.deepEqual(anomalies.map(a => a.type), ['no_jobs']);
+    assert.equal(anomalies[0].expected, 40);
+  });
+
+  it('flags a sharp drop in jobs found and fields turning N/A', () => {
+    const metrics = measureExtraction(Array.from({ length: 5 }, () => job({ company: 'N/A' })), 1);
+    const anomalies = detectAnomalies(metrics, baseline());
+
+    assert.deepEqual(anomalies.map(a => [a.type, a.field]), [
+      ['job_count_drop', undefined],
+      ['na_rate_spike', 'company']
+    ]);
+  });
+
+  it('does not judge a source without enough history', () => {
+    const metrics = measureExtraction([job({ title: 'N/A' })], 1);
+    const anomalies = detectAnomalies(metrics, baseline({ runs: 2, jobCount: { scope: 'source', runs: 2, median: 40 } }));
+    assert.deepEqual(anomalies, []);
+  });
+});
@@ -0,0 +1,57 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { launchBrowser } = require('../sources/browser');
+const { openFixture } = require('../sources/fixtures');
+const hirist = require('../sources/hirist');
+
+describe('hirist extractors', () => {
+  let browser;
+
+  before(async () => {
+    browser = await launchBrowser();
+  });
+
+  after(async () => {
+    await browser.close();
+  });
+
+  it('extracts every job card from a results page', async () => {
+    const page = await openFixture(browser, 'hirist', 'search');
+    const jobs = await hirist.extract(page);
+    await page.close();
+
+    assert.equal(jobs.length, 2);
+    assert.deepEqual(jobs[0], {
+      title: 'Golang Developer - Payments',
+      company: 'Cyberdyne Systems',
+      experience: '3 - 7 Yrs',
+      location: 'Bangalore, Remote',
+      skills: ['Golang', 'Kafka', 'PostgreSQL', 'Kubernetes'],
+      salary: '₹ 25-40 Lacs',
+      link: 'https://www.hirist.tech/j/golang-developer-payments-cyberdyne-systems-1497213',
+      postedDate: '5 days ago'
+    });
+  });
+
+  it('falls back to placeholders for a card without salary or skills', async () => {
+    const page = await openFixture(browser, 'hirist', 'search');
+    const jobs = await hirist.extract(page);
+    await page.close();
+
+    assert.equal(jobs[1].title, 'SDE 2 - Backend (Go)');
+    assert.equal(jobs[1].location, 'Gurgaon/Gurugram');
+    assert.equal(jobs[1].salary, 'Not specified');
+    assert.deepEqual(jobs[1].skills, []);
+  });
+
+  it('extracts detail fields from a job page', async () => {
+    const page = await openFixture(browser, 'hirist', 'detail');
+    const detail = await hirist.extractDetail(page);
+    await page.close();
+
+    assert.match(detail.description, /^Cyberdyne is looking for a Golang developer/);
+    assert.match(detail.description, /Own PostgreSQL schemas and migrations/);
+    assert.deepEqual(detail.skills, ['Golang', 'Kafka', 'PostgreSQL']);
+    assert.equal(detail.employmentType, 'Full Time');
+  });
+});
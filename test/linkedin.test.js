@@ -0,0 +1,62 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { launchBrowser } = require('../sources/browser');
+const { openFixture } = require('../sources/fixtures');
+const linkedin = require('../sources/linkedin');
+
+describe('linkedin extractors', () => {
+  let browser;
+
+  before(async () => {
+    browser = await launchBrowser();
+  });
+
+  after(async () => {
+    await browser.close();
+  });
+
+  it('extracts every job card from a results page', async () => {
+    const page = await openFixture(browser, 'linkedin', 'search');
+    const jobs = await linkedin.extract(page);
+    await page.close();
+
+    assert.equal(jobs.length, 2);
+    assert.deepEqual(jobs[0], {
+      title: 'Senior Data Engineer',
+      company: 'Hooli',
+      experience: 'N/A',
+      location: 'Hyderabad, Telangana, India',
+      skills: [],
+      salary: 'Not specified',
+      link: 'https://in.linkedin.com/jobs/view/senior-data-engineer-at-hooli-3987654321?position=1&pageNum=0&refId=Xy12AbCdEf%3D%3D&trackingId=QwErTy%3D%3D&trk=public_jobs_jserp-result_search-card',
+      postedDate: '5 hours ago',
+      postedDateTime: '2025-07-18'
+    });
+    assert.equal(jobs[1].location, 'Hyderabad, Telangana, India (Remote)');
+  });
+
+  it('normalizes cards into canonical job links and exact posted dates', async () => {
+    const page = await openFixture(browser, 'linkedin', 'search');
+    const jobs = (await linkedin.extract(page)).map(linkedin.normalize);
+    await page.close();
+
+    assert.equal(jobs[0].source, 'LinkedIn');
+    assert.equal(jobs[0].link, 'https://www.linkedin.com/jobs/view/3987654321');
+    assert.equal(jobs[1].link, 'https://www.linkedin.com/jobs/view/3987000111');
+    assert.equal(jobs[0].postedAt.toISOString().slice(0, 10), '2025-07-18');
+  });
+
+  it('extracts detail fields from a job page', async () => {
+    const page = await openFixture(browser, 'linkedin', 'detail');
+    const detail = await linkedin.extractDetail(page);
+    await page.close();
+
+    assert.match(detail.description, /^Hooli is hiring a Senior Data Engineer/);
+    assert.match(detail.description, /Spark, Airflow and Snowflake/);
+    assert.deepEqual(detail.skills, []);
+    assert.equal(detail.employmentType, 'Full-time');
+    assert.equal(detail.salary, '₹2,500,000.00/yr - ₹3,800,000.00/yr');
+    assert.equal(detail.experience, null);
+    assert.equal(detail.applyUrl, 'https://careers.hooli.example/jobs/778?source=linkedin');
+  });
+});
@@ -0,0 +1,70 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { launchBrowser } = require('../sources/browser');
+const { openFixture } = require('../sources/fixtures');
+const naukri = require('../sources/naukri');
+
+describe('naukri extractors', () => {
+  let browser;
+
+  before(async () => {
+    browser = await launchBrowser();
+  });
+
+  after(async () => {
+    await browser.close();
+  });
+
+  it('extracts every job card from a results page', async () => {
+    const page = await openFixture(browser, 'naukri', 'search');
+    const jobs = await naukri.extract(page);
+    await page.close();
+
+    assert.equal(jobs.length, 3);
+    assert.deepEqual(jobs[0], {
+      title: 'Senior Node.js Developer',
+      company: 'Acme Technologies',
+      experience: '4-8 Yrs',
+      location: 'Hybrid - Bengaluru',
+      skills: ['node.js', 'express', 'mongodb', 'aws'],
+      link: 'https://www.naukri.com/job-listings-senior-node-js-developer-acme-technologies-bengaluru-4-to-8-years-120725500123?src=jobsearchDesk&sid=17212345678901234&xp=1&px=1',
+      postedDate: '3 Days Ago'
+    });
+    assert.equal(jobs[1].location, 'Chennai, Hyderabad, Pune');
+    assert.equal(jobs[1].postedDate, 'Just Now');
+  });
+
+  it('leaves skills empty when a card has no tags', async () => {
+    const page = await openFixture(browser, 'naukri', 'search');
+    const jobs = await naukri.extract(page);
+    await page.close();
+
+    assert.equal(jobs[2].title, 'Full Stack Developer (MERN)');
+    assert.deepEqual(jobs[2].skills, []);
+    assert.equal(jobs[2].postedDate, '30+ Days Ago');
+  });
+
+  it('normalizes cards into jobs with tracking parameters stripped', async () => {
+    const page = await openFixture(browser, 'naukri', 'search');
+    const jobs = (await naukri.extract(page)).map(naukri.normalize);
+    await page.close();
+
+    assert.equal(jobs[0].source, 'Naukri');
+    assert.equal(jobs[0].link, 'https://www.naukri.com/job-listings-senior-node-js-developer-acme-technologies-bengaluru-4-to-8-years-120725500123');
+    assert.equal(jobs[0].salary, 'Not specified');
+  });
+
+  it('extracts detail fields from a job page', async () => {
+    const page = await openFixture(browser, 'naukri', 'detail');
+    const detail = await naukri.extractDetail(page);
+    await page.close();
+
+    assert.match(detail.description, /^We are looking for a Senior Node\.js Developer/);
+    assert.match(detail.description, /Run them on AWS with Docker and Kubernetes/);
+    assert.deepEqual(detail.skills, ['Node.js', 'Express', 'AWS']);
+    assert.equal(detail.employmentType, 'Full Time, Permanent');
+    assert.equal(detail.salary, '12-18 Lacs P.A.');
+    assert.equal(detail.experience, '4 - 8 years');
+    assert.equal(detail.applyUrl, 'https://careers.acme.example/jobs/4821?utm_source=naukri');
+  });
+});
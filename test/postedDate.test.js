@@ -0,0 +1,24 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parsePostedDate } = require('../sources/postedDate');
+
+const now = new Date('2025-07-10T12:00:00Z');
+const hoursBefore = hours => new Date(now.getTime() - hours * 60 * 60 * 1000);
+
+describe('parsePostedDate', () => {
+  it('reads "a few" as the assumed amount for the unit', () => {
+    assert.deepEqual(parsePostedDate('a few hours ago', now), hoursBefore(3));
+    assert.deepEqual(parsePostedDate('A few days ago', now), hoursBefore(3 * 24));
+    assert.deepEqual(parsePostedDate('Posted few hours ago', now), hoursBefore(3));
+  });
+
+  it('reads "a" and "an" as one', () => {
+    assert.deepEqual(parsePostedDate('an hour ago', now), hoursBefore(1));
+    assert.deepEqual(parsePostedDate('a day ago', now), hoursBefore(24));
+  });
+
+  it('reads numeric and open-ended counts', () => {
+    assert.deepEqual(parsePostedDate('3 Days Ago', now), hoursBefore(3 * 24));
+    assert.deepEqual(parsePostedDate('30+ days', now), hoursBefore(30 * 24));
+  });
+});
@@ -0,0 +1,15 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSalary } = require('../sources/ranges');
+
+describe('parseSalary', () => {
+  it('leaves min empty for an upper bound alone', () => {
+    assert.deepEqual(parseSalary('Up to 50 Lacs'), { min: null, max: 5000000, currency: 'INR', period: 'year' });
+    assert.deepEqual(parseSalary('Upto 12 LPA'), { min: null, max: 1200000, currency: 'INR', period: 'year' });
+  });
+
+  it('reads ranges and single amounts', () => {
+    assert.deepEqual(parseSalary('₹ 6-10 Lacs P.A.'), { min: 600000, max: 1000000, currency: 'INR', period: 'year' });
+    assert.deepEqual(parseSalary('12 LPA'), { min: 1200000, max: 1200000, currency: 'INR', period: 'year' });
+  });
+});
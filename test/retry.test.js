@@ -0,0 +1,70 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.CRAWL_RETRY_BASE_MS = '1';
+const { crawlError, classifyError, withRetry } = require('../sources/retry');
+
+function timeoutError() {
+  const error = new Error('Waiting for selector `.title` failed: Waiting failed: 30000ms exceeded');
+  error.name = 'TimeoutError';
+  return error;
+}
+
+describe('crawl retries', () => {
+  it('classifies navigation and wait failures', () => {
+    assert.equal(classifyError(timeoutError()), 'timeout');
+    assert.equal(classifyError(new Error('Navigation timeout of 60000 ms exceeded')), 'timeout');
+    assert.equal(classifyError(new Error('net::ERR_CONNECTION_RESET at https://www.naukri.com')), 'network');
+    assert.equal(classifyError(crawlError('blocked', 'Bot check')), 'blocked');
+    assert.equal(classifyError(new Error('Cannot read properties of null')), 'unknown');
+  });
+
+  it('retries timeouts until the call succeeds', async () => {
+    let calls = 0;
+    const result = await withRetry(async () => {
+      calls++;
+      if (calls < 3) throw timeoutError();
+      return 'page';
+    });
+
+    assert.equal(result, 'page');
+    assert.equal(calls, 3);
+  });
+
+  it('gives up after the last attempt with the kind and attempts on the error', async () => {
+    let calls = 0;
+    await assert.rejects(
+      withRetry(async () => {
+        calls++;
+        throw crawlError('rate_limited', 'Rate limited (HTTP 429)');
+      }, { attempts: 2 }),
+      error => error.kind === 'rate_limited' && error.attempts === 2
+    );
+    assert.equal(calls, 2);
+  });
+
+  it('does not retry blocks', async () => {
+    let calls = 0;
+    await assert.rejects(
+      withRetry(async () => {
+        calls++;
+        throw crawlError('blocked', 'Bot check or login wall');
+      }),
+      { kind: 'blocked', attempts: 1 }
+    );
+    assert.equal(calls, 1);
+  });
+
+  it('stops waiting when the crawl is cancelled', async () => {
+    const controller = new AbortController();
+    let calls = 0;
+    const attempt = withRetry(async () => {
+      calls++;
+      controller.abort();
+      throw timeoutError();
+    }, { signal: controller.signal });
+
+    await assert.rejects(attempt);
+    assert.equal(calls, 1);
+  });
+});
@@ -0,0 +1,48 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { launchBrowser } = require('../sources/browser');
+const { openFixture } = require('../sources/fixtures');
+const { selectorReport } = require('../sources/selectors');
+const shine = require('../sources/shine');
+
+describe('selector fallbacks', () => {
+  let browser;
+
+  before(async () => {
+    browser = await launchBrowser();
+  });
+
+  after(async () => {
+    await browser.close();
+  });
+
+  it('still extracts cards after the hashed class names rotate', async () => {
+    const page = await openFixture(browser, 'shine', 'search-rotated');
+    const jobs = await shine.extract(page);
+    await page.close();
+
+    assert.deepEqual(jobs, [{
+      title: 'React Developer',
+      company: 'Stark Industries Limited',
+      experience: '3 to 6 Yrs',
+      location: 'Pune, Mumbai',
+      salary: 'Rs 8 - 14 Lakh/Yr',
+      link: 'https://www.shine.com/jobs/react-developer/stark-industries-limited/15678901',
+      postedDate: '2 days ago'
+    }]);
+  });
+
+  it('reports primaries that no longer match as stale', () => {
+    const { sources: { shine: { search } } } = selectorReport();
+
+    assert.equal(search.card.stale, true);
+    assert.deepEqual(search.card.selectors.map(entry => entry.matches), [0, 1, 0]);
+    assert.equal(search.title.stale, true);
+    assert.equal(search.title.selectors[1].matches, 1);
+    assert.ok(search.title.lastFallbackAt instanceof Date);
+
+    // The partial-class primary still matches
+    assert.equal(search.postedDate.stale, false);
+    assert.equal(search.postedDate.selectors[0].matches, 1);
+  });
+});
@@ -0,0 +1,80 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { launchBrowser } = require('../sources/browser');
+const { openFixture } = require('../sources/fixtures');
+const shine = require('../sources/shine');
+
+describe('shine extractors', () => {
+  let browser;
+
+  before(async () => {
+    browser = await launchBrowser();
+  });
+
+  after(async () => {
+    await browser.close();
+  });
+
+  it('extracts every job card from a results page', async () => {
+    const page = await openFixture(browser, 'shine', 'search');
+    const jobs = await shine.extract(page);
+    await page.close();
+
+    assert.equal(jobs.length, 3);
+    assert.deepEqual(jobs[0], {
+      title: 'React Developer',
+      company: 'Stark Industries Limited',
+      experience: '3 to 6 Yrs',
+      location: 'Pune, Mumbai',
+      salary: 'Rs 8 - 14 Lakh/Yr',
+      link: 'https://www.shine.com/jobs/react-developer/stark-industries-limited/15678901',
+      postedDate: '2 days ago'
+    });
+    assert.equal(jobs[1].salary, 'Not Disclosed');
+    assert.equal(jobs[1].postedDate, 'Today');
+  });
+
+  // Each field has its own selector, so what a partial row does have is kept
+  it('reads a partial details row and uses placeholders for the missing fields', async () => {
+    const page = await openFixture(browser, 'shine', 'search');
+    const jobs = await shine.extract(page);
+    await page.close();
+
+    assert.equal(jobs[2].title, 'UI Developer');
+    assert.equal(jobs[2].company, 'Umbrella Corp');
+    assert.equal(jobs[2].experience, '0 to 1 Yrs');
+    assert.equal(jobs[2].location, 'N/A');
+    assert.equal(jobs[2].salary, 'Not specified');
+    assert.equal(jobs[2].postedDate, 'N/A');
+  });
+
+  it('normalizes cards into jobs with tracking parameters stripped', async () => {
+    const page = await openFixture(browser, 'shine', 'search');
+    const jobs = (await shine.extract(page)).map(shine.normalize);
+    await page.close();
+
+    assert.equal(jobs[1].source, 'Shine');
+    assert.equal(jobs[1].link, 'https://www.shine.com/jobs/frontend-engineer-react/wayne-enterprises/15679123');
+  });
+
+  it('finds no cards on a page with no results', async () => {
+    const page = await openFixture(browser, 'shine', 'no-results');
+    const jobs = await shine.extract(page);
+    await page.close();
+
+    assert.deepEqual(jobs, []);
+  });
+
+  it('extracts detail fields from a job page', async () => {
+    const page = await openFixture(browser, 'shine', 'detail');
+    const detail = await shine.extractDetail(page);
+    await page.close();
+
+    assert.match(detail.description, /Stark Industries is hiring a React developer/);
+    assert.deepEqual(detail.skills, ['React', 'Redux', 'TypeScript']);
+    assert.equal(detail.employmentType, 'Full Time');
+    assert.equal(detail.salary, 'Rs 8 - 14 Lakh/Yr');
+    assert.equal(detail.experience, '3 to 6 Yrs');
+    assert.equal(detail.applyUrl, null);
+  });
+});